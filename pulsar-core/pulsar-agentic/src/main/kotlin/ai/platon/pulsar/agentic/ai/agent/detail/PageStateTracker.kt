@@ -4,6 +4,7 @@ import ai.platon.pulsar.agentic.AgentConfig
 import ai.platon.pulsar.agentic.AgenticSession
 import ai.platon.pulsar.browser.driver.chrome.dom.model.BrowserUseState
 import ai.platon.pulsar.common.ResourceLoader
+import ai.platon.pulsar.common.Strings
 import ai.platon.pulsar.common.getLogger
 import kotlinx.coroutines.delay
 import java.util.concurrent.atomic.AtomicBoolean
@@ -35,6 +36,13 @@ class PageStateTracker(
     private val domSettleJsLoaded = AtomicBoolean(false)
     private var domSettleJs: String? = null
 
+    /**
+     * The settle report of the last wait which did not end with a settled DOM, null if the DOM settled.
+     * See `__pulsar_GetDomSettleReport` and `__pulsar_WaitForSettled` in dom_settle.js for the fields.
+     */
+    var lastSettleReport: Map<*, *>? = null
+        private set
+
     /**
      * Calculate page state fingerprint for loop detection.
      * Combines URL, DOM structure, and scroll position into a single hash.
@@ -149,8 +157,9 @@ class PageStateTracker(
      *
      * @param timeoutMs Maximum time to wait for DOM to settle
      * @param checkIntervalMs Interval between stability checks
+     * @return The settle report explaining why the DOM is not settled on timeout, or null if the DOM is settled
      */
-    suspend fun waitForDOMSettle(timeoutMs: Long, checkIntervalMs: Long) {
+    suspend fun waitForDOMSettle(timeoutMs: Long, checkIntervalMs: Long): Map<*, *>? {
         val driver = requireNotNull(activeDriver)
 
         driver.waitForSelector("body", timeoutMs)
@@ -186,7 +195,8 @@ class PageStateTracker(
                         val requiredStableChecks = if (rsCode == 2) 2 else 3
                         if (stableCount >= requiredStableChecks) {
                             logger.debug("DOM settled after ${System.currentTimeMillis() - startTime}ms (rsCode=$rsCode, checks=$stableCount)")
-                            return
+                            lastSettleReport = null
+                            return null
                         }
                     } else {
                         stableCount = 0
@@ -205,6 +215,42 @@ class PageStateTracker(
             }
         }
 
-        logger.info("DOM settle timeout after ${timeoutMs}ms (lastReadyStateCode=$lastReadyStateCode)")
+        val report = runCatching {
+            driver.evaluateAwait(
+                """
+                (() => { try { const f = window.__pulsar_GetDomSettleReport; return typeof f === 'function' ? f() : null; } catch(e) { return null; } })()
+                """.trimIndent()
+            ) as? Map<*, *>
+        }.getOrNull()
+        logger.info("DOM settle timeout after ${timeoutMs}ms (lastReadyStateCode=$lastReadyStateCode) | report: $report")
+        lastSettleReport = report
+        return report
+    }
+
+    /**
+     * Wait until the DOM is quiet for quietMs milliseconds, and an element matching the selector is present if given,
+     * in a single awaited call of `__pulsar_WaitForSettled` rather than polling.
+     *
+     * @param quietMs The time without DOM mutations required
+     * @param timeoutMs Maximum time to wait for DOM to settle
+     * @param selector The css selector of an element which must be present, or null
+     * @return The settle report, its `reason` is one of quiet, timeout, navigation and invalid-selector, or null if the
+     * page can not be evaluated
+     */
+    suspend fun waitForSettled(quietMs: Long, timeoutMs: Long, selector: String? = null): Map<*, *>? {
+        val driver = requireNotNull(activeDriver)
+
+        ensureDomStabilityProbeInstalled()
+
+        val safeSelector = selector?.let { "'" + Strings.escapeJsString(it) + "'" } ?: "null"
+        val report = driver.evaluateAwait(
+            "window.__pulsar_WaitForSettled({quietMs: $quietMs, timeoutMs: $timeoutMs, selector: $safeSelector})"
+        ) as? Map<*, *>
+
+        lastSettleReport = report?.takeIf { it["reason"] != "quiet" }
+        if (lastSettleReport != null) {
+            logger.info("DOM is not settled in ${timeoutMs}ms | report: $report")
+        }
+        return report
     }
 }
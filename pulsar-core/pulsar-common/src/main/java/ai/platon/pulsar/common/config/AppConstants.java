@@ -129,6 +129,8 @@ public interface AppConstants {
     String PULSAR_ATTR_OVERFLOW_VISIBLE = "_visible";
     String PULSAR_ATTR_ELEMENT_NODE_VI = "vi";
     String PULSAR_ATTR_TEXT_NODE_VI = "tv";
+    String PULSAR_ATTR_FRAME_PATH = "_fp";
+    String PULSAR_ATTR_FRAME_OPAQUE = "_fo";
 
     String PULSAR_ATTR_COMPUTED_STYLE = "cs";
     String PULSAR_ATTR_ELEMENT_NODE_DATA = "nd";
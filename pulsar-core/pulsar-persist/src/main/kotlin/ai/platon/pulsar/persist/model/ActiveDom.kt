@@ -1,9 +1,11 @@
 package ai.platon.pulsar.persist.model
 
 import ai.platon.pulsar.common.config.AppConstants.DEFAULT_VIEWPORT
+import ai.platon.pulsar.common.getLogger
 import ai.platon.pulsar.persist.gora.generated.GActiveDOMStat
 import ai.platon.pulsar.persist.gora.generated.GActiveDOMStatus
 import com.google.gson.Gson
+import java.util.concurrent.ConcurrentSkipListSet
 
 /**
  * Records the status of a DOM in a real browser.
@@ -209,21 +211,54 @@ data class ActiveDOMMetadata(
     val timestamp: String? = null,
 )
 
+/**
+ * The page state message computed by javascript in a real browser.
+ *
+ * The message is described by `__pulsar_utils__.describeProtocol()` in JSON schema.
+ * */
 data class ActiveDOMMessage(
+    /**
+     * The page state protocol version, null if the message is produced by an older script.
+     * */
+    var version: Int? = null,
     var trace: ActiveDOMStatTrace? = null,
     var urls: ActiveDOMUrls? = null,
     var metadata: ActiveDOMMetadata? = null,
 ) {
+    /**
+     * Whether the message can be read by this class. A message without a version is produced by a script older than
+     * the versioned protocol, its fields are the same as version 1, so it's compatible.
+     * */
+    val isCompatible: Boolean get() = version == null || version == PROTOCOL_VERSION
+
     fun toJson(): String {
         return gson.toJson(this)
     }
 
     companion object {
+        /**
+         * The page state protocol version this class is compatible with.
+         * */
+        const val PROTOCOL_VERSION = 1
+
+        private val logger = getLogger(ActiveDOMMessage::class)
         private val gson = Gson()
+        private val warnedVersions = ConcurrentSkipListSet<Int>()
         val DEFAULT = ActiveDOMMessage()
 
+        /**
+         * Parse the message. A message of another protocol version means the injected scripts and this class are out
+         * of sync, it's parsed as far as possible and a warning is logged once for every such version, check
+         * [isCompatible] to reject it. A message without a version is accepted silently, see [isCompatible].
+         * */
         fun fromJson(json: String): ActiveDOMMessage {
-            return gson.fromJson(json, ActiveDOMMessage::class.java)
+            val message = gson.fromJson(json, ActiveDOMMessage::class.java)
+            val version = message.version
+            if (!message.isCompatible && version != null && warnedVersions.add(version)) {
+                logger.warn("Page state protocol version mismatch, expected {}, but got {}, " +
+                    "the injected scripts may be stale", PROTOCOL_VERSION, version)
+            }
+            return message
         }
     }
 }
@@ -0,0 +1,33 @@
+package ai.platon.pulsar.persist
+
+import ai.platon.pulsar.persist.model.ActiveDOMMessage
+import kotlin.test.*
+
+class TestActiveDOMMessage {
+
+    @Test
+    fun testCurrentVersion() {
+        val message = ActiveDOMMessage.fromJson(ActiveDOMMessage(version = ActiveDOMMessage.PROTOCOL_VERSION).toJson())
+        assertEquals(ActiveDOMMessage.PROTOCOL_VERSION, message.version)
+        assertTrue(message.isCompatible)
+    }
+
+    @Test
+    fun testMismatchedVersion() {
+        val version = ActiveDOMMessage.PROTOCOL_VERSION + 1
+        val message = ActiveDOMMessage.fromJson("""{"version":$version,"urls":{"URL":"http://example.com/"}}""")
+        // the message is still parsed, but it's not compatible
+        assertEquals(version, message.version)
+        assertEquals("http://example.com/", message.urls?.URL)
+        assertFalse(message.isCompatible)
+    }
+
+    @Test
+    fun testMissingVersion() {
+        // a message produced by a script before the protocol is versioned
+        val message = ActiveDOMMessage.fromJson("""{"urls":{"URL":"http://example.com/"}}""")
+        assertNull(message.version)
+        assertEquals("http://example.com/", message.urls?.URL)
+        assertTrue(message.isCompatible)
+    }
+}
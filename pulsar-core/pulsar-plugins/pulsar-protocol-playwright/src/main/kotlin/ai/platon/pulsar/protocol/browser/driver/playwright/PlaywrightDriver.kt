@@ -808,6 +808,13 @@ class PlaywrightDriver(
         }
     }
 
+    /**
+     * Playwright awaits a returned promise and serializes the settled value by itself.
+     * */
+    override suspend fun evaluateAwait(expression: String): Any? {
+        return evaluateValue(expression)
+    }
+
     @Throws(WebDriverException::class)
     override suspend fun evaluateValue(selector: String, functionDeclaration: String): Any? {
         return page.locator(selector).evaluate(functionDeclaration)
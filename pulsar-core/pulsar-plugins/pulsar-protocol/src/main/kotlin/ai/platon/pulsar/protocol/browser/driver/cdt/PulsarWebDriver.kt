@@ -213,6 +213,11 @@ class PulsarWebDriver(
         }
     }
 
+    @Throws(WebDriverException::class)
+    override suspend fun evaluateAwait(expression: String): Any? {
+        return driverHelper.invokeOnPage("evaluateAwait") { page.evaluateAwait(expression) }
+    }
+
     @Throws(WebDriverException::class)
     override suspend fun evaluateValue(selector: String, functionDeclaration: String): Any? {
         return driverHelper.invokeOnPage("evaluateValue") {
@@ -21,6 +21,7 @@ import ai.platon.pulsar.common.*
 import ai.platon.pulsar.common.config.AppConstants
 import ai.platon.pulsar.common.config.AppConstants.VAR_CAPTURE
 import ai.platon.pulsar.common.config.ImmutableConfig
+import ai.platon.pulsar.common.serialize.json.pulsarObjectMapper
 import ai.platon.pulsar.common.event.AbstractEventEmitter
 import ai.platon.pulsar.persist.AbstractWebPage
 import ai.platon.pulsar.persist.ProtocolStatus
@@ -672,7 +673,8 @@ open class InteractiveBrowserEmulator(
         val maxRound = 60
 
         // TODO: wait for expected data, ni, na, nn, nst, etc; required element
-        val expression = String.format("__pulsar_utils__.waitForReady(%d)", initialScroll)
+        val readinessOptions = pulsarObjectMapper().writeValueAsString(interactTask.interactSettings.readinessOptions)
+        val expression = "__pulsar_utils__.waitForDocumentFullyLoaded($initialScroll, $readinessOptions)"
         var i = 0
         var message: Any? = null
         try {
@@ -606,7 +606,10 @@ abstract class AbstractWebDriver(
     @Throws(WebDriverException::class)
     override suspend fun clickTextMatches(selector: String, pattern: String, count: Int) {
         val safeSelector = Strings.escapeJsString(selector)
-        evaluate("__pulsar_utils__.clickTextMatches('$safeSelector', '$pattern')")
+        val safePattern = Strings.escapeJsString(pattern)
+        val expression = "__pulsar_utils__.clickTextMatches('$safeSelector', '$safePattern', null, {count: $count})"
+        val result = evaluateAwait(expression)
+        checkActionResult(result, "clickTextMatches", "$selector, pattern: $pattern")
     }
 
     @Throws(WebDriverException::class)
@@ -618,13 +621,33 @@ abstract class AbstractWebDriver(
     @Throws(WebDriverException::class)
     override suspend fun check(selector: String) {
         val safeSelector = Strings.escapeJsString(selector)
-        evaluate("__pulsar_utils__.check('$safeSelector')")
+        val result = evaluateAwait("__pulsar_utils__.check('$safeSelector')")
+        checkActionResult(result, "check", selector)
     }
 
     @Throws(WebDriverException::class)
     override suspend fun uncheck(selector: String) {
         val safeSelector = Strings.escapeJsString(selector)
-        evaluate("__pulsar_utils__.uncheck('$safeSelector')")
+        val result = evaluateAwait("__pulsar_utils__.uncheck('$safeSelector')")
+        checkActionResult(result, "uncheck", selector)
+    }
+
+    /**
+     * Check the result of an action performed by the injected script, see actionability.js.
+     *
+     * A missing element is not a failure, the action does nothing as documented.
+     *
+     * @throws ElementNotActionableException If the element is not actionable or the match is ambiguous.
+     * */
+    @Throws(ElementNotActionableException::class)
+    protected fun checkActionResult(result: Any?, action: String, target: String) {
+        val map = result as? Map<*, *> ?: return
+        val reason = map["reason"]?.toString()
+        if (map["ok"] == true || reason == null || reason == "not-found") {
+            return
+        }
+
+        throw ElementNotActionableException(reason, "Failed to $action $target | ${map["message"]}", this, map)
     }
 
     @Throws(WebDriverException::class)
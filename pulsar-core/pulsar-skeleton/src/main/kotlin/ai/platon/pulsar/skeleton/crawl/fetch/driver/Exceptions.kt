@@ -21,6 +21,20 @@ open class IllegalWebDriverStateException(
     driver: WebDriver? = null,
 ): WebDriverException(message, cause, driver)
 
+/**
+ * The element of an action is found but not actionable, for example, it's hidden, disabled or covered by another
+ * element, or the element located by text is ambiguous.
+ *
+ * @param reason The failure reason reported by the injected script, for example, `not-visible` or `ambiguous`.
+ * @param details The failure reported by the injected script, for example, the candidates of an ambiguous match.
+ * */
+open class ElementNotActionableException(
+    val reason: String,
+    message: String? = null,
+    driver: WebDriver? = null,
+    val details: Map<*, *> = mapOf<String, Any>(),
+): WebDriverException(message, null, driver)
+
 open class BrowserUnavailableException(
     message: String? = null,
     cause: Throwable? = null
@@ -864,18 +864,20 @@ interface WebDriver : Closeable {
     suspend fun click(selector: String, modifier: String)
 
     /**
-     * This method clicks an element with [selector] whose text content matches [pattern], and then focuses it.
+     * This method clicks the element with [selector] whose text content best matches [pattern], and then focuses it.
      * If there's no element matching [selector], or the element's text content doesn't match [pattern], nothing to do.
      *
+     * Only the deepest visible interactive match is clicked, rather than every element containing the text.
+     *
      * ```kotlin
      * driver.clickTextMatches("button", "submit")
      * ```
      *
      * @param selector - A [selector](https://developer.mozilla.org/en-US/docs/Web/CSS/CSS_Selectors)
-     * of an element to focus. If there are multiple elements satisfying the
-     * selector, the first will be focused.
-     * @param pattern The pattern to match the text content.
+     * of the elements to search in, for example, `*` or `a`.
+     * @param pattern The regular expression to match the text content.
      * @param count The number of times to click.
+     * @throws ElementNotActionableException If several elements match equally well, or the element is not actionable.
      * */
     @Throws(WebDriverException::class)
     suspend fun clickTextMatches(selector: String, pattern: String, count: Int = 1)
@@ -925,6 +927,7 @@ interface WebDriver : Closeable {
      * [selector](https://developer.mozilla.org/en-US/docs/Web/CSS/CSS_Selectors)
      * of an element to check. If there are multiple elements satisfying the
      * selector, the first will be checked.
+     * @throws ElementNotActionableException If the element is not actionable, for example, it's disabled or covered.
      * */
     @Throws(WebDriverException::class)
     suspend fun check(selector: String)
@@ -936,6 +939,7 @@ interface WebDriver : Closeable {
      * [selector](https://developer.mozilla.org/en-US/docs/Web/CSS/CSS_Selectors)
      * of an element to uncheck. If there are multiple elements satisfying the
      * selector, the first will be focused.
+     * @throws ElementNotActionableException If the element is not actionable, for example, it's disabled or covered.
      * */
     @Throws(WebDriverException::class)
     suspend fun uncheck(selector: String)
@@ -1452,6 +1456,20 @@ interface WebDriver : Closeable {
     @Throws(WebDriverException::class)
     suspend fun evaluateValueDetail(expression: String): JsEvaluation?
 
+    /**
+     * Executes JavaScript, awaits the promise it returns, and returns the settled value, objects are serialized.
+     *
+     * ```kotlin
+     * val result = driver.evaluateAwait("__pulsar_utils__.click('#submit')")
+     * ```
+     *
+     * @param expression Javascript expression to evaluate
+     * @return The settled value if the expression returns a promise, otherwise the value, or null if the evaluation
+     * fails.
+     */
+    @Throws(WebDriverException::class)
+    suspend fun evaluateAwait(expression: String): Any?
+
     @Throws(WebDriverException::class)
     @ExperimentalApi
     suspend fun evaluateValue(selector: String, functionDeclaration: String): Any?
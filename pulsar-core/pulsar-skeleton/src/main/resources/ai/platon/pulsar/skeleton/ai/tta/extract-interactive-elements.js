@@ -1,4 +1,9 @@
 (function() {
+    // 依赖注入脚本中的选择器生成模块，缺失时直接报错，而不是生成不可靠的选择器
+    if (typeof __pulsar_utils__ === 'undefined' || typeof __pulsar_utils__.buildSelector !== 'function') {
+        throw new Error('__pulsar_utils__.buildSelector is not available, the preload scripts are not injected');
+    }
+
     const elements = [];
     const interactiveSelectors = [
         'a[href]', 'button', 'input', 'select', 'textarea', 
@@ -53,59 +58,9 @@
         }
     });
     
-    // 生成最佳选择器
+    // 生成最佳选择器：使用注入脚本中的选择器生成模块，保证选择器合法且唯一
     function generateBestSelector(element) {
-        // 1. 优先使用 ID
-        if (element.id) {
-            return '#' + element.id;
-        }
-        
-        // 2. 使用 name 属性
-        if (element.name) {
-            return `[name="${element.name}"]`;
-        }
-        
-        // 3. 使用类名组合
-        if (element.className) {
-            const classes = element.className.trim().split(/\s+/).filter(c => 
-                c.length > 0 && 
-                !c.match(/^(ng-|js-|css-|style-|temp-|dynamic-)/) && // 排除动态类名
-                c.length < 20 // 排除过长的类名
-            );
-            if (classes.length > 0) {
-                return element.tagName.toLowerCase() + '.' + classes.slice(0, 2).join('.');
-            }
-        }
-        
-        // 4. 使用属性选择器
-        if (element.getAttribute('data-testid')) {
-            return `[data-testid="${element.getAttribute('data-testid')}"]`;
-        }
-        
-        if (element.getAttribute('aria-label')) {
-            return `[aria-label="${element.getAttribute('aria-label')}"]`;
-        }
-        
-        // 5. 使用文本内容 (适用于链接和按钮)
-        if ((element.tagName === 'A' || element.tagName === 'BUTTON') && element.textContent) {
-            const text = element.textContent.trim();
-            if (text.length > 0 && text.length < 30) {
-                return `${element.tagName.toLowerCase()}:contains("${text}")`;
-            }
-        }
-        
-        // 6. 使用 nth-child 选择器
-        const parent = element.parentElement;
-        if (parent) {
-            const siblings = Array.from(parent.children).filter(el => el.tagName === element.tagName);
-            if (siblings.length > 1) {
-                const index = siblings.indexOf(element) + 1;
-                return `${element.tagName.toLowerCase()}:nth-of-type(${index})`;
-            }
-        }
-        
-        // 7. 最后使用标签名
-        return element.tagName.toLowerCase();
+        return __pulsar_utils__.buildSelector(element);
     }
     
     // 按照重要性排序：表单元素 > 按钮 > 链接 > 其他
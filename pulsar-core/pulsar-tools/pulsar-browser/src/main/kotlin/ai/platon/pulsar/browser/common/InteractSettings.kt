@@ -59,6 +59,15 @@ data class InteractSettings constructor(
      * */
     var domSettlePolicy: DomSettlePolicy = DomSettlePolicy.FIELDS_SETTLE
 ) {
+    /**
+     * The readiness options passed to `__pulsar_utils__.waitForDocumentFullyLoaded()` while waiting for the document
+     * to settle, the strategy name and the strategy specific options, for example,
+     * `{"strategy": "selector-present", "selector": "#results"}`.
+     *
+     * The registered strategies are in readiness_strategies.js, the "default" strategy is used if no strategy is set.
+     * */
+    var readinessOptions: MutableMap<String, Any> = mutableMapOf()
+
     /**
      * The minimum delay time in milliseconds.
      * */
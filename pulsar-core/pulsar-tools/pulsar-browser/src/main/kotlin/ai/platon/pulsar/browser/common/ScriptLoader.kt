@@ -33,6 +33,24 @@ open class ScriptLoader(
             node_traversor.js
             feature_calculator.js
             __pulsar_utils__.js
+            page_state_protocol.js
+            network_activity.js
+            readiness_strategies.js
+            selector_builder.js
+            selector_resolver.js
+            element_handles.js
+            input_events.js
+            form_controls.js
+            actionability.js
+            text_locator.js
+            accessibility.js
+            interactive_elements.js
+            overlay.js
+            markdown_serializer.js
+            main_content.js
+            record_detector.js
+            typed_value.js
+            extractor.js
         """.trimIndent().split("\n").map { "js/" + it.trim() }.toMutableList()
     }
 
@@ -133,7 +151,9 @@ open class ScriptLoader(
             "ATTR_OVERFLOW_HIDDEN" to AppConstants.PULSAR_ATTR_OVERFLOW_HIDDEN,
             "ATTR_OVERFLOW_VISIBLE" to AppConstants.PULSAR_ATTR_OVERFLOW_VISIBLE,
             "ATTR_ELEMENT_NODE_VI" to AppConstants.PULSAR_ATTR_ELEMENT_NODE_VI,
-            "ATTR_TEXT_NODE_VI" to AppConstants.PULSAR_ATTR_TEXT_NODE_VI
+            "ATTR_TEXT_NODE_VI" to AppConstants.PULSAR_ATTR_TEXT_NODE_VI,
+            "ATTR_FRAME_PATH" to AppConstants.PULSAR_ATTR_FRAME_PATH,
+            "ATTR_FRAME_OPAQUE" to AppConstants.PULSAR_ATTR_FRAME_OPAQUE
         ).also { jsInitParameters.putAll(it) }
     }
 }
@@ -510,6 +510,42 @@ class PageHandler(
         return evaluate?.result?.value
     }
 
+    /**
+     * Evaluates expression on global object, awaits the result if it's a promise.
+     *
+     * @param script Javascript expression to evaluate
+     * @return The evaluation whose result is the settled value, sent by value.
+     * */
+    @Throws(ChromeDriverException::class)
+    suspend fun evaluateAwaitDetail(script: String): Evaluate? {
+        val confusedExpr = confuser.confuse(script)
+
+        return try {
+            runtimeAPI?.evaluate(confusedExpr, returnByValue = true, awaitPromise = true)
+        } catch (e: Exception) {
+            logger.warn("Failed to evaluate $script", e)
+            null
+        }
+    }
+
+    /**
+     * Evaluates expression on global object, awaits the result if it's a promise.
+     *
+     * @param script Javascript expression to evaluate
+     * @return The settled value in case of primitive values or JSON values.
+     * */
+    @Throws(ChromeDriverException::class)
+    suspend fun evaluateAwait(script: String): Any? {
+        val evaluate = evaluateAwaitDetail(script)
+
+        val exception = evaluate?.exceptionDetails?.exception
+        if (exception != null) {
+            logger.info(exception.description + "\n>>>$script<<<")
+        }
+
+        return evaluate?.result?.value
+    }
+
     @Throws(ChromeDriverException::class)
     suspend fun evaluateValueDetail(selector: String, functionDeclaration: String): CallFunctionOn? {
         val node = resolveSelector(selector) ?: return null
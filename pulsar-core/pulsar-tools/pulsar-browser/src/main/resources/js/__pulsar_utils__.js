@@ -11,6 +11,49 @@ __pulsar_utils__.getConfig = function() {
     return __pulsar_CONFIGS || __pulsar_DEFAULT_CONFIGS
 }
 
+/**
+ * Get the options to traverse the DOM, the options passed in override the configured ones.
+ *
+ * @param options {Object} The traverse options, see {@link __pulsar_NodeTraversor}
+ * @return {Object}
+ * */
+__pulsar_utils__.getTraverseOptions = function(options = {}) {
+    const config = this.getConfig();
+    // init parameters generated by Kotlin code are strings
+    const isTrue = value => value === true || value === "true";
+    return Object.assign({
+        shadow: isTrue(config.TRAVERSE_SHADOW_DOM),
+        frames: isTrue(config.TRAVERSE_FRAMES)
+    }, options)
+}
+
+/**
+ * Get the document of an iframe if it's accessible.
+ *
+ * @param frame {HTMLIFrameElement}
+ * @return {Document|null} The document, or null if the frame is cross-origin
+ * */
+__pulsar_utils__.getFrameDocument = function(frame) {
+    try {
+        // contentDocument is null for cross-origin frames, but some browsers throw instead
+        return frame.contentDocument || null
+    } catch (e) {
+        return null
+    }
+}
+
+/**
+ * Get the document of an iframe if it's accessible and our scripts are injected into it, only the nodes of such a
+ * document can be calculated.
+ *
+ * @param frame {HTMLIFrameElement}
+ * @return {Document|null} The document, or null if the frame is cross-origin, not loaded or not scripted
+ * */
+__pulsar_utils__.getScriptableFrameDocument = function(frame) {
+    let doc = this.getFrameDocument(frame)
+    return doc && doc.body && doc.defaultView && doc.defaultView.__pulsar_utils__ ? doc : null
+}
+
 /**
  * @param scroll The count to scroll down
  * @return {Object|boolean}
@@ -22,17 +65,20 @@ __pulsar_utils__.waitForReady = function(scroll = 3) {
 
 /**
  * @param scroll The count to scroll down
+ * @param options The readiness options, e.g. {strategy: "selector-present", selector: "#result"},
+ * see isActuallyReady() and readiness_strategies.js
  * @return {Object|boolean}
  * */
-__pulsar_utils__.waitForDocumentFullyLoaded = function(scroll = 3) {
-    return this.checkStatus(scroll);
+__pulsar_utils__.waitForDocumentFullyLoaded = function(scroll = 3, options = {}) {
+    return this.checkStatus(scroll, options);
 };
 
 /**
  * @param scroll The count to scroll down
- * @return {Object|boolean}
+ * @param options The readiness options, see isActuallyReady()
+ * @return {Object|boolean} The page state message in JSON if the document is ready, see describeProtocol(), or false
  * */
-__pulsar_utils__.checkStatus = function(scroll = 3) {
+__pulsar_utils__.checkStatus = function(scroll = 3, options = {}) {
     if (!document) {
         return false
     }
@@ -51,7 +97,7 @@ __pulsar_utils__.checkStatus = function(scroll = 3) {
         status.scroll += 1;
     }
 
-    let ready = this.isActuallyReady();
+    let ready = this.isActuallyReady(options);
     if (!ready) {
         return false
     }
@@ -61,7 +107,7 @@ __pulsar_utils__.checkStatus = function(scroll = 3) {
     }
 
     // The document is ready
-    return JSON.stringify(document.__pulsar__Data)
+    return this.getActiveDomMessage()
 };
 
 __pulsar_utils__.isBrowserError = function () {
@@ -78,6 +124,7 @@ __pulsar_utils__.createDataIfAbsent = function() {
         }
 
         document.__pulsar__Data = {
+            version: __pulsar_PAGE_STATE_PROTOCOL.version,
             trace: {
                 status: { n: 0, scroll: 0, idl: 0, st: "", r: "", ec: "" },
                 initStat: null,
@@ -131,49 +178,50 @@ __pulsar_utils__.isFullyLoaded = function() {
 /**
  * Check if the document is fully loaded and ready to analyze.
  * A document is hardly be perfect ready in time, since it's very common there are very slow sub resources to wait for.
+ *
+ * The readiness is decided by the strategy named by options.strategy, which is one of the registered strategies in
+ * readinessStrategies, the "default" strategy is used if not specified.
+ * If the document is ready, the reason is written into trace.status.r, it's prefixed by the strategy name
+ * unless the strategy is "default", e.g. "st", "selector-present:sel".
+ *
+ * If options.networkQuietMs is set, the network is also required to be quiet for the time, whatever the strategy is.
+ *
+ * @param options The readiness options, the strategy name and the strategy specific options
+ * @return {boolean}
  * */
-__pulsar_utils__.isActuallyReady = function() {
+__pulsar_utils__.isActuallyReady = function(options = {}) {
     // unexpected
     if (!document.body) {
         return false
     }
 
+    const name = options.strategy || "default";
+    const strategy = this.readinessStrategies[name];
+    if (!strategy) {
+        throw this.createStacklessError('Unknown readiness strategy: ' + name);
+    }
+
     this.updateStat();
 
     if (!document.__pulsar__Data) {
         return false
     }
 
-    let ready = false;
     let trace = document.__pulsar__Data.trace;
     let status = trace.status;
-    let d = trace.lastD;
+    let context = { options: options, status: status, stat: trace.lastStat, delta: trace.lastD, utils: this };
 
-    // all sub resources are loaded, the document is ready now
-    if (status.st === "c") {
-        // assert(document.readyState === "complete")
-        status.r = "st";
-        ready = true
-    }
-
-    // The DOM is very good for analysis, no wait for more information
-    let stat = trace.lastStat;
-    if (status.n > 20 && stat.h >= this.fineHeight
-        && stat.na >= this.fineNumAnchor
-        && stat.ni >= this.fineNumImage
-    ) {
-        if (d.h < 10 && d.na === 0 && d.ni === 0 && d.nst === 0 && d.nnm === 0) {
-            // DOM changed since last check, store the latest stat and return false to wait for the next check
-            ++status.idl;
-            if (status.idl > 10) {
-                // idle for 10 seconds
-                status.r = "ct";
-                ready = true;
-            }
-        }
+    let reason = strategy(context);
+    if (!reason) {
+        return false
+    }
+
+    if (options.networkQuietMs > 0 && !this.isNetworkQuiet(options.networkQuietMs, options)) {
+        return false
     }
 
-    return ready;
+    status.r = name === "default" ? reason : name + ":" + reason;
+    return true;
 };
 
 __pulsar_utils__.isIdle = function(init = false) {
@@ -214,16 +262,13 @@ __pulsar_utils__.updateStat = function(init = false) {
     let nnm = 0; // number like text in first screen
 
     if (!this.isBrowserError()) {
+        // the nodes in accessible frames are counted too if frames are traversed
         document.body.__pulsar_forEach((node) => {
             // 2023.08: google sites complains that node.__pulsar_isIFrame is not defined sometimes
             if (!node.__pulsar_isIFrame) {
                 return;
             }
 
-            if (node.__pulsar_isIFrame()) {
-                return
-            }
-
             if (node.__pulsar_isAnchor()) ++na;
             if (node.__pulsar_isImage() && !node.__pulsar_isSmallImage()) ++ni;
 
@@ -254,7 +299,7 @@ __pulsar_utils__.updateStat = function(init = false) {
 
             if (node.__pulsar_isDiv() && node.scrollWidth > width && node.scrollWidth < maxWidth) width = node.scrollWidth;
             if (node.__pulsar_isDiv() && node.scrollWidth >= fineWidth && node.scrollHeight > height) height = node.scrollHeight;
-        });
+        }, this.getTraverseOptions());
     }
 
     // unexpected but occurs when do performance test to parallel harvest Websites
@@ -272,7 +317,7 @@ __pulsar_utils__.updateStat = function(init = false) {
     let lastStatus = trace.status;
     let state = document.readyState.substr(0, 1);
     let newMultiStatus = {
-        status: {n: lastStatus.n, scroll: lastStatus.scroll, idl: lastStatus.idl, st: state, r: lastStatus.r},
+        status: {n: lastStatus.n, scroll: lastStatus.scroll, idl: lastStatus.idl, st: state, r: lastStatus.r, ec: lastStatus.ec},
         lastStat: {w: width, h: height, na: na, ni: ni, nst: nst, nnm: nnm},
         // changes from last round
         lastD: {
@@ -420,11 +465,12 @@ __pulsar_utils__.scrollDownN = function(scrollCount = 5) {
  * Check if a element be visible
  *
  * @param  {String} selector
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return boolean
  * @deprecated use CDP instead
  */
-__pulsar_utils__.isVisible = function(selector) {
-    let ele = document.querySelector(selector)
+__pulsar_utils__.isVisible = function(selector, root) {
+    let ele = this.resolveSelector(selector, root)
     if (ele == null) {
         return false
     }
@@ -434,12 +480,20 @@ __pulsar_utils__.isVisible = function(selector) {
 /**
  * Check if a element be visible.
  *
+ * If options.checkOcclusion is true, an element covered by other elements at all the sample points, for example,
+ * by a cookie banner or a modal, is not visible, see getElementOcclusion().
+ *
  * @param  {Element} element
+ * @param  {Object} [options] {checkOcclusion: false}
  * @return boolean
  */
-__pulsar_utils__.isElementVisible = function(element) {
+__pulsar_utils__.isElementVisible = function(element, options = {}) {
     if (!element.ownerDocument || !element.ownerDocument.defaultView)
         return true;
+    if (options.checkOcclusion && this.isElementVisible(element)) {
+        const occlusion = this.getElementOcclusion(element);
+        return occlusion.visibleFraction == null || occlusion.visibleFraction > 0;
+    }
 
     const style = element.ownerDocument.defaultView.getComputedStyle(element);
     if (!style || style.visibility === 'hidden')
@@ -460,6 +514,67 @@ __pulsar_utils__.isElementVisible = function(element) {
     return rect.width > 0 && rect.height > 0;
 }
 
+/**
+ * Hit-test the element at sample points to find out if it's covered by other elements.
+ *
+ * The sample points are the center and the centers of the four quadrants of the element, the points out of the
+ * viewport can not be tested and are not counted.
+ *
+ * @param  {Element} element
+ * @return {Object} {visibleFraction: the fraction of the tested points where the element receives the hit, null if no
+ *                   point can be tested, occludedBy: the selector of the element which covers the most points, or null}
+ */
+__pulsar_utils__.getElementOcclusion = function(element) {
+    const rect = element.getBoundingClientRect();
+    const root = element.getRootNode();
+    const hitTester = root.elementsFromPoint ? root : document;
+    if (!hitTester.elementsFromPoint) {
+        return { visibleFraction: null, occludedBy: null };
+    }
+    const vw = window.innerWidth || document.documentElement.clientWidth;
+    const vh = window.innerHeight || document.documentElement.clientHeight;
+
+    const points = [[0.5, 0.5], [0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]]
+        .map(([fx, fy]) => [rect.left + rect.width * fx, rect.top + rect.height * fy])
+        .filter(([x, y]) => x >= 0 && y >= 0 && x < vw && y < vh);
+
+    let numVisible = 0;
+    let coverings = new Map();
+    points.forEach(([x, y]) => {
+        const stack = hitTester.elementsFromPoint(x, y);
+        const top = stack.length > 0 ? stack[0] : null;
+        if (top == null) {
+            return;
+        }
+        if (top === element || element.contains(top)) {
+            ++numVisible;
+            return;
+        }
+
+        // the point is covered, report the outermost covering element which does not contain the target
+        let covering = top;
+        while (covering.parentElement && !covering.parentElement.contains(element)) {
+            covering = covering.parentElement;
+        }
+        // if covering contains the element, the hit lands on an ancestor, e.g. the element has pointer-events: none
+        coverings.set(covering, (coverings.get(covering) || 0) + 1);
+    });
+
+    let occluder = null;
+    let max = 0;
+    coverings.forEach((count, covering) => {
+        if (count > max) {
+            max = count;
+            occluder = covering;
+        }
+    });
+
+    return {
+        visibleFraction: points.length > 0 ? numVisible / points.length : null,
+        occludedBy: occluder ? (this.buildSelector ? this.buildSelector(occluder) : occluder.localName) : null
+    }
+}
+
 /**
  * Check if a text node be visible.
  *
@@ -505,10 +620,11 @@ __pulsar_utils__.getVisibleTextContent = function() {
  * Test if a element is checked.
  *
  * @param  {String} selector
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return boolean
  */
-__pulsar_utils__.isChecked = function(selector) {
-    let ele = document.querySelector(selector)
+__pulsar_utils__.isChecked = function(selector, root) {
+    let ele = this.resolveSelector(selector, root)
     if (ele == null) {
         return false
     }
@@ -558,11 +674,12 @@ __pulsar_utils__.isElementChecked = function(element, strict = true) {
  *
  * @param {String} selector The element to scroll to
  * @param {Object} [options] Optional scroll options to override defaults
+ * @param {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @deprecated use CDP instead
  * */
-__pulsar_utils__.scrollIntoView = function(selector, options) {
+__pulsar_utils__.scrollIntoView = function(selector, options, root) {
     try {
-        const el = document.querySelector(selector);
+        const el = this.resolveSelector(selector, root);
         if (!el) return false;
 
         // Determine if scrolling is actually needed
@@ -584,7 +701,7 @@ __pulsar_utils__.scrollIntoView = function(selector, options) {
     } catch (e) {
         // Fallback: best-effort immediate scroll to avoid breaking flows
         try {
-            const el = document.querySelector(selector);
+            const el = this.resolveSelector(selector, root);
             if (el) {
                 el.scrollIntoView({ behavior: 'auto', block: 'start', inline: 'nearest' });
                 return true;
@@ -595,55 +712,80 @@ __pulsar_utils__.scrollIntoView = function(selector, options) {
 };
 
 /**
- * Select the first element and click it
+ * Select the first element and click it once it's actionable, see waitForActionable().
  *
  * @param  {String} selector
- * @return
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
+ * @param  {Object} [options] {timeout: the time to wait for the element to be actionable, force: skip the checks}
+ * @return {Promise<Object>} {ok: true}, or the actionability failure {ok: false, reason, message}
  * @deprecated use CDP instead
  */
-__pulsar_utils__.click = function(selector) {
-    let ele = document.querySelector(selector)
-    if (ele instanceof HTMLElement) {
-        ele.click()
-    }
+__pulsar_utils__.click = async function(selector, root, options = {}) {
+    let ele = this.resolveSelector(selector, root)
+    let failure = ele ? await this.waitForActionable(ele, options) : this.createNotFoundFailure(selector, root)
+    if (failure) {
+        return failure
+    }
+    this.dispatchClick(ele)
+    return { ok: true }
 }
 
 /**
- * Select the first element and click it.
+ * Locate the element by its text and click it once it's actionable, see rankTextMatches() and waitForActionable().
  *
- * @param  {String} selector
+ * Only the best match is clicked, rather than every element containing the text. If several elements match equally
+ * well, nothing is clicked and the candidates are reported.
+ *
+ * @param  {String} selector The elements to search in, for example, `*` or `a`
  * @param  {String} pattern
- * @return
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
+ * @param  {Object} [options] {mode: "exact", "substring", "regex" or "normalized", "regex" by default,
+ *                  count: the number of times to click, 1 by default,
+ *                  timeout: the time to wait for the element to be actionable, force: skip the checks}
+ * @return {Promise<Object>} One of:
+ *                  {ok: true, element: {selector, text, rect}},
+ *                  {ok: false, reason: "ambiguous", message, candidates: [{selector, text, rect}]},
+ *                  the actionability failure {ok: false, reason, message, element}
  */
-__pulsar_utils__.clickTextMatches = function(selector, pattern) {
-    // TODO: handle selector `*`
-
-    let elements = document.querySelectorAll(selector)
-    for (let ele of elements) {
-        if (ele instanceof HTMLElement) {
-            let text = ele.textContent
-            if (text.match(pattern)) {
-                ele.scrollIntoView()
-                ele.click()
-            }
+__pulsar_utils__.clickTextMatches = async function(selector, pattern, root, options = {}) {
+    let candidates = this.rankTextMatches(selector, pattern, root, options)
+    if (candidates.length === 0) {
+        return this.createActionabilityFailure("found", 'No element matches the text: ' + pattern)
+    }
+
+    let best = candidates.filter(c => c.rank === candidates[0].rank)
+    if (best.length > 1) {
+        return {
+            ok: false,
+            reason: "ambiguous",
+            message: best.length + ' elements match the text equally well: ' + pattern,
+            candidates: best.slice(0, __pulsar_TEXT_LOCATOR.maxCandidates).map(c => this.describeTextMatch(c.element))
         }
     }
+
+    let ele = best[0].element
+    let failure = await this.waitForActionable(ele, options)
+    if (failure) {
+        failure.element = this.describeTextMatch(ele)
+        return failure
+    }
+    let element = this.describeTextMatch(ele)
+    let count = Math.max(1, options.count ?? 1)
+    for (let i = 0; i < count; ++i) {
+        this.dispatchClick(ele)
+    }
+    return { ok: true, element: element }
 }
 
 /**
  * Select the first element and click it.
  *
  * @param  {number} n The n-th anchor.
- * @param  {string|null} rootSelector The n-th anchor.
+ * @param  {string|number|null} rootSelector The root to select from, a selector or an element handle.
  * @return {string|null}
  */
 __pulsar_utils__.clickNthAnchor = function(n, rootSelector) {
-    let rootNode
-    if (!rootSelector) {
-        rootNode = document.body
-    } else {
-        rootNode = document.querySelector(rootSelector)
-    }
+    let rootNode = this.resolveRoot(rootSelector, document.body)
 
     if (!rootNode) {
         return null
@@ -663,7 +805,7 @@ __pulsar_utils__.clickNthAnchor = function(n, rootSelector) {
                 visitor.stopped = true
                 node.scrollIntoView()
                 href = node.getAttribute("href")
-                node.click()
+                __pulsar_utils__.dispatchClick(node)
             }
         }
     };
@@ -674,44 +816,59 @@ __pulsar_utils__.clickNthAnchor = function(n, rootSelector) {
 }
 
 /**
- * Select the first element and check it if not checked.
+ * Select the first element and check it if not checked, the element is clicked once it's actionable, see
+ * waitForActionable().
  *
  * @param  {String} selector
- * @return
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
+ * @param  {Object} [options] {timeout: the time to wait for the element to be actionable, force: skip the checks}
+ * @return {Promise<Object>} {ok: true}, or the actionability failure {ok: false, reason, message}
  */
-__pulsar_utils__.check = function(selector) {
-    if (!this.isChecked(selector)) {
-        let ele = document.querySelector(selector)
-        if (ele instanceof HTMLElement) {
-            ele.click()
-        }
+__pulsar_utils__.check = async function(selector, root, options = {}) {
+    if (this.isChecked(selector, root)) {
+        return { ok: true }
     }
+    let ele = this.resolveSelector(selector, root)
+    let failure = ele ? await this.waitForActionable(ele, options) : this.createNotFoundFailure(selector, root)
+    if (failure) {
+        return failure
+    }
+    this.dispatchClick(ele)
+    return { ok: true }
 }
 
 /**
- * Select the first element and uncheck it if checked.
+ * Select the first element and uncheck it if checked, the element is clicked once it's actionable, see
+ * waitForActionable().
  *
  * @param  {String} selector
- * @return
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
+ * @param  {Object} [options] {timeout: the time to wait for the element to be actionable, force: skip the checks}
+ * @return {Promise<Object>} {ok: true}, or the actionability failure {ok: false, reason, message}
  */
-__pulsar_utils__.uncheck = function(selector) {
-    if (this.isChecked(selector)) {
-        let ele = document.querySelector(selector)
-        if (ele instanceof HTMLElement) {
-            ele.click()
-        }
+__pulsar_utils__.uncheck = async function(selector, root, options = {}) {
+    if (!this.isChecked(selector, root)) {
+        return { ok: true }
     }
+    let ele = this.resolveSelector(selector, root)
+    let failure = ele ? await this.waitForActionable(ele, options) : this.createNotFoundFailure(selector, root)
+    if (failure) {
+        return failure
+    }
+    this.dispatchClick(ele)
+    return { ok: true }
 }
 
 /**
  * Select the first element and extract the text
  *
  * @param  {String} selector
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return {String}
  * @deprecated use CDP instead
  */
-__pulsar_utils__.outerHTML = function(selector) {
-    let element = document.querySelector(selector)
+__pulsar_utils__.outerHTML = function(selector, root) {
+    let element = this.resolveSelector(selector, root)
     if (element != null) {
         return element.outerHTML
     }
@@ -719,11 +876,12 @@ __pulsar_utils__.outerHTML = function(selector) {
 };
 
 /**
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @deprecated Use selectFirstText instead
  * @deprecated use CDP instead
  */
-__pulsar_utils__.firstText = function(selector) {
-    let element = document.querySelector(selector)
+__pulsar_utils__.firstText = function(selector, root) {
+    let element = this.resolveSelector(selector, root)
     if (element != null) {
         return element.textContent
     }
@@ -734,10 +892,11 @@ __pulsar_utils__.firstText = function(selector) {
  * Select the first element and extract the text
  *
  * @param  {String} selector
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return {String|null}
  */
-__pulsar_utils__.selectFirstText = function(selector) {
-    let element = document.querySelector(selector)
+__pulsar_utils__.selectFirstText = function(selector, root) {
+    let element = this.resolveSelector(selector, root)
     if (element != null) {
         return element.textContent
     }
@@ -755,10 +914,11 @@ __pulsar_utils__.allTexts = function(selector) {
  * Select elements and extract the texts
  *
  * @param  {String} selector
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return {String} texts in json format
  */
-__pulsar_utils__.selectTextAll = function(selector) {
-    let elements = document.querySelectorAll(selector)
+__pulsar_utils__.selectTextAll = function(selector, root) {
+    let elements = this.resolveSelectorAll(selector, root)
     let texts = Array.from(elements).map(e => e.textContent)
     return JSON.stringify(texts, null, 2)
 };
@@ -791,10 +951,11 @@ __pulsar_utils__.firstAttr = function(selector, attrName) {
  *
  * @param  {String} selector
  * @param  {String} attrName
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return {String|null}
  */
-__pulsar_utils__.selectFirstAttribute = function(selector, attrName) {
-    let element = document.querySelector(selector)
+__pulsar_utils__.selectFirstAttribute = function(selector, attrName, root) {
+    let element = this.resolveSelector(selector, root)
     if (element != null) {
         return element.getAttribute(attrName)
     }
@@ -805,10 +966,11 @@ __pulsar_utils__.selectFirstAttribute = function(selector, attrName) {
  * Select the first matching element and extract all the attributes.
  *
  * @param  {String} selector
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return {Object} attribute values
  * */
-__pulsar_utils__.selectAttributes = function(selector) {
-    let element = document.querySelector(selector)
+__pulsar_utils__.selectAttributes = function(selector, root) {
+    let element = this.resolveSelector(selector, root)
     if (element != null) {
         let attrs = Array.from(element.attributes).flatMap(a => [a.name, a.value])
         // return JSON.stringify(attrs, null, 2)
@@ -825,11 +987,12 @@ __pulsar_utils__.selectAttributes = function(selector) {
  * @param  {Number} start The beginning index of the specified portion of the array.
  * If start is undefined, then the slice begins at index 0.
  * @param  {Number} end The end index of the specified portion of the array. This is exclusive of the element at the index 'end'.
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * If end is undefined, then the slice extends to the end of the array.
  * @return {string} attribute values in json format
  */
-__pulsar_utils__.selectAttributeAll = function(selector, attrName, start, end) {
-    let elements = document.querySelectorAll(selector)
+__pulsar_utils__.selectAttributeAll = function(selector, attrName, start, end, root) {
+    let elements = this.resolveSelectorAll(selector, root)
     let values = Array.from(elements)
         .map(e => e.getAttribute(attrName))
         .filter(v => v != null)
@@ -845,9 +1008,10 @@ __pulsar_utils__.selectAttributeAll = function(selector, attrName, start, end) {
  * @param {String} selector
  * @param {String} attrName
  * @param {String} attrValue
+ * @param {String|Number|Element} [root] The root to select from, a selector or an element handle
  */
-__pulsar_utils__.setAttribute = function(selector, attrName, attrValue) {
-    let element = document.querySelector(selector)
+__pulsar_utils__.setAttribute = function(selector, attrName, attrValue, root) {
+    let element = this.resolveSelector(selector, root)
     if (element != null) {
         element.setAttribute(attrName, attrValue)
     }
@@ -859,9 +1023,10 @@ __pulsar_utils__.setAttribute = function(selector, attrName, attrValue) {
  * @param {String} selector
  * @param {String} attrName
  * @param {String} attrValue
+ * @param {String|Number|Element} [root] The root to select from, a selector or an element handle
  */
-__pulsar_utils__.setAttributeAll = function(selector, attrName, attrValue) {
-    let elements = document.querySelectorAll(selector)
+__pulsar_utils__.setAttributeAll = function(selector, attrName, attrValue, root) {
+    let elements = this.resolveSelectorAll(selector, root)
     elements.forEach(e => e.setAttribute(attrName, attrValue))
 };
 
@@ -885,10 +1050,11 @@ __pulsar_utils__.setAttributeAll = function(selector, attrName, attrValue) {
  *
  * @param  {String} selector
  * @param  {String} propName
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return {String|null}
  */
-__pulsar_utils__.selectFirstPropertyValue = function(selector, propName) {
-    let element = document.querySelector(selector)
+__pulsar_utils__.selectFirstPropertyValue = function(selector, propName, root) {
+    let element = this.resolveSelector(selector, root)
     if (element != null) {
         return element[propName]
     }
@@ -903,11 +1069,12 @@ __pulsar_utils__.selectFirstPropertyValue = function(selector, propName) {
  * @param  {Number} start The beginning index of the specified portion of the array.
  * If start is undefined, then the slice begins at index 0.
  * @param  {Number} end The end index of the specified portion of the array. This is exclusive of the element at the index 'end'.
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * If end is undefined, then the slice extends to the end of the array.
  * @return {string} property values in json format
  */
-__pulsar_utils__.selectPropertyValueAll = function(selector, propName, start, end) {
-    let elements = document.querySelectorAll(selector)
+__pulsar_utils__.selectPropertyValueAll = function(selector, propName, start, end, root) {
+    let elements = this.resolveSelectorAll(selector, root)
     let values = Array.from(elements)
         .map(e => e[propName])
         .filter(v => v != null)
@@ -923,9 +1090,10 @@ __pulsar_utils__.selectPropertyValueAll = function(selector, propName, start, en
  * @param {String} selector
  * @param {String} propName
  * @param {String} propValue
+ * @param {String|Number|Element} [root] The root to select from, a selector or an element handle
  */
-__pulsar_utils__.setProperty = function(selector, propName, propValue) {
-    let element = document.querySelector(selector)
+__pulsar_utils__.setProperty = function(selector, propName, propValue, root) {
+    let element = this.resolveSelector(selector, root)
     if (element != null) {
         element[propName] = propValue
     }
@@ -937,9 +1105,10 @@ __pulsar_utils__.setProperty = function(selector, propName, propValue) {
  * @param {String} selector
  * @param {String} propName
  * @param {String} propValue
+ * @param {String|Number|Element} [root] The root to select from, a selector or an element handle
  */
-__pulsar_utils__.setPropertyAll = function(selector, propName, propValue) {
-    let elements = document.querySelectorAll(selector)
+__pulsar_utils__.setPropertyAll = function(selector, propName, propValue, root) {
+    let elements = this.resolveSelectorAll(selector, root)
     elements.forEach(e => e[propName] = propValue)
 };
 
@@ -981,10 +1150,11 @@ __pulsar_utils__.setPropertyAll = function(selector, propName, propValue) {
  * Select the first anchor element and extract the link.
  *
  * @param  {String} selector
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return {String|null}
  */
-__pulsar_utils__.selectFirstHyperlink = function(selector) {
-    let element = document.querySelector(selector)
+__pulsar_utils__.selectFirstHyperlink = function(selector, root) {
+    let element = this.resolveSelector(selector, root)
     if (element != null && element.nodeName === 'A') {
         return element.href
     }
@@ -995,10 +1165,11 @@ __pulsar_utils__.selectFirstHyperlink = function(selector) {
  * Select all anchor elements and extract all the links.
  *
  * @param  {String} selector
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return {String} links separated by line break "\n"
  */
-__pulsar_utils__.selectHyperlinks = function(selector) {
-    let elements = document.querySelectorAll(selector)
+__pulsar_utils__.selectHyperlinks = function(selector, root) {
+    let elements = this.resolveSelectorAll(selector, root)
     return Array.from(elements).filter(e => e.nodeName === 'A').map(e => e.href).join("\n")
 };
 
@@ -1006,10 +1177,11 @@ __pulsar_utils__.selectHyperlinks = function(selector) {
  * Select all img elements and extract all the links.
  *
  * @param  {String} selector
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return {String} links separated by line break "\n"
  */
-__pulsar_utils__.selectImages = function(selector) {
-    let elements = document.querySelectorAll(selector)
+__pulsar_utils__.selectImages = function(selector, root) {
+    let elements = this.resolveSelectorAll(selector, root)
     return Array.from(elements).filter(e => e.nodeName === 'IMG').map(e => e.src).join("\n")
 };
 
@@ -1034,10 +1206,11 @@ __pulsar_utils__.findMatches = function(pattern, frameNameOrId) {
  *
  * @param  {String} selector
  * @param  {String} attrName
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * @return {Array}
  */
-__pulsar_utils__.findMatchesForAttrs = function(selector, attrName) {
-    let elements = document.querySelectorAll(selector)
+__pulsar_utils__.findMatchesForAttrs = function(selector, attrName, root) {
+    let elements = this.resolveSelectorAll(selector, root)
     return elements.map(e => e.getAttribute(attrName))
 };
 
@@ -1305,10 +1478,11 @@ __pulsar_utils__.formatDOMRectList = function(rectList) {
  * The result is the smallest rectangle which contains the entire element, including the padding, border and margin.
  *
  * @param selector {string} The selector to get the element from.
+ * @param [root] {String|Number|Element} The root to select from, a selector or an element handle
  * @return {String}
  * */
-__pulsar_utils__.queryClientRects = function(selector) {
-    let ele = document.querySelector(selector);
+__pulsar_utils__.queryClientRects = function(selector, root) {
+    let ele = this.resolveSelector(selector, root);
     if (!ele) {
         return null;
     }
@@ -1320,10 +1494,11 @@ __pulsar_utils__.queryClientRects = function(selector) {
  * The result is the smallest rectangle which contains the entire element, including the padding, border and margin.
  *
  * @param selector {string} The selector to get the element from.
+ * @param [root] {String|Number|Element} The root to select from, a selector or an element handle
  * @return {DOMRect|String|Boolean}
  * */
-__pulsar_utils__.queryClientRect = function(selector) {
-    let ele = document.querySelector(selector);
+__pulsar_utils__.queryClientRect = function(selector, root) {
+    let ele = this.resolveSelector(selector, root);
     if (!ele) {
         return null;
     }
@@ -1353,10 +1528,11 @@ __pulsar_utils__.getClientRect = function(node) {
  *
  * @param selector {string} The selector to get the element from.
  * @param propertyNames {String|Array}
+ * @param [root] {String|Number|Element} The root to select from, a selector or an element handle
  * @return {DOMRect|String|Boolean}
  * * */
-__pulsar_utils__.queryComputedStyle = function(selector, propertyNames) {
-    let ele = document.querySelector(selector);
+__pulsar_utils__.queryComputedStyle = function(selector, propertyNames, root) {
+    let ele = this.resolveSelector(selector, root);
     if (!ele) {
         return null;
     }
@@ -1545,9 +1721,10 @@ __pulsar_utils__.getFullPageMetrics = function() {
  * The information includes the tag name, id, class, and the text content.
  *
  * @param selector {String} The selector to get the element from.
+ * @param [root] {String|Number|Element} The root to select from, a selector or an element handle
  */
-__pulsar_utils__.showInfoBox = function(selector) {
-    let element = document.querySelector(selector)
+__pulsar_utils__.showInfoBox = function(selector, root) {
+    let element = this.resolveSelector(selector, root)
     if (element != null) {
         let tagName = element.tagName
         let id = element.id
@@ -1649,8 +1826,11 @@ __pulsar_utils__.generateMetadata = function() {
 
 /**
  * Calculate visualization info and do human actions
+ *
+ * @param options {Object} The traverse options, e.g. {shadow: true} to calculate the content of open shadow roots,
+ * {frames: true} to calculate the content of same-origin iframes, whose vi rectangles are in the top document's coordinates
  * */
-__pulsar_utils__.compute = function() {
+__pulsar_utils__.compute = function(options = {}) {
     if (!document.body || !document.body.firstChild) {
         return
     }
@@ -1672,13 +1852,15 @@ __pulsar_utils__.compute = function() {
     this.updateStat();
     this.writeData();
 
+    const traverseOptions = this.getTraverseOptions(options);
+
     // remove temporary flags
     document.body.__pulsar_forEachElement(ele => {
         ele.removeAttribute("tp")
-    });
+    }, traverseOptions);
 
     // traverse the DOM and compute necessary data, we must compute data before we perform humanization
-    new __pulsar_NodeTraversor(new __pulsar_NodeFeatureCalculator()).traverse(document.body);
+    new __pulsar_NodeTraversor(new __pulsar_NodeFeatureCalculator(traverseOptions), traverseOptions).traverse(document.body);
 
     this.generateMetadata();
 
@@ -1698,9 +1880,18 @@ __pulsar_utils__.addProjectSpecifiedData = function() {
  * Get the active DOM message which is the current state of the DOM.
  * The active DOM message is the JSON string of the document.__pulsar__Data.
  * It's computed in updateStat(), and computeFinalMetadata()
+ *
+ * The message follows the page state protocol, see describeProtocol().
+ *
+ * @param options {Object} {longKeys: true} to use the long-form keys
+ * @return {String}
  * */
-__pulsar_utils__.getActiveDomMessage = function() {
-    return JSON.stringify(document.__pulsar__Data)
+__pulsar_utils__.getActiveDomMessage = function(options = {}) {
+    let message = document.__pulsar__Data;
+    if (message && options.longKeys) {
+        message = this.toLongFormMessage(message)
+    }
+    return JSON.stringify(message)
 };
 
 /**
@@ -1730,14 +1921,18 @@ __pulsar_utils__.add = function(a, b) {
 };
 
 /**
- * Press a key.
+ * Press a key, the full sequence of keydown, keypress, input and keyup is dispatched, see dispatchKey().
  *
  * [MDN Reference](https://developer.mozilla.org/docs/Web/API/KeyboardEvent/key)
+ * @param  {String} selector
+ * @param  {String} key The key, for example, "a", "Enter" or "Control+A"
+ * @param  {String|Number|Element} [root] The root to select from, a selector or an element handle
  * */
-__pulsar_utils__.press = function(selector, key) {
-    let element = document.querySelector(selector)
+__pulsar_utils__.press = function(selector, key, root) {
+    let element = this.resolveSelector(selector, root)
     if (element != null) {
-        element.dispatchEvent(new KeyboardEvent('keypress', {key: key}));
+        this.focusElement(element);
+        this.dispatchKey(element, key);
     }
 };
 
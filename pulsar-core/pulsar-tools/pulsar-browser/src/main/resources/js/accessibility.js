@@ -0,0 +1,462 @@
+"use strict";
+
+/**
+ * The accessibility semantics of elements: the role and the accessible name.
+ *
+ * The algorithms follow the HTML-AAM role mappings and the accessible name computation (accname 1.2), with the same
+ * simplifications as axe-core, whose test cases are in pulsar-tests-common: static/assets/axe-core. Where Chrome and
+ * axe-core disagree, the test cases follow Chrome.
+ * */
+const __pulsar_ACCESSIBILITY = {
+    /**
+     * The roles whose accessible name can be computed from the content
+     * */
+    nameFromContentRoles: ["button", "cell", "checkbox", "columnheader", "gridcell", "heading", "link", "menuitem",
+        "menuitemcheckbox", "menuitemradio", "option", "radio", "row", "rowheader", "sectionhead", "switch", "tab",
+        "tooltip", "treeitem"],
+    /**
+     * The roles whose content is part of the name of an ancestor, besides nameFromContentRoles, like Chrome does,
+     * see https://github.com/w3c/aria/issues/1821, the content of a descendant of any other role, like alert, is not
+     * */
+    descendantNameFromContentRoles: [null, "caption", "code", "contentinfo", "definition", "deletion", "emphasis",
+        "insertion", "list", "listitem", "mark", "paragraph", "presentation", "region", "rowgroup", "section",
+        "strong", "subscript", "superscript", "table", "term", "time"],
+    /**
+     * The landmark roles which turn a header or a footer into a plain section
+     * */
+    sectioningRoles: ["article", "complementary", "main", "navigation", "region"],
+    /**
+     * The global aria attributes, an element with any of them is not presentational
+     * */
+    globalAriaAttributes: ["aria-label", "aria-labelledby", "aria-describedby", "aria-controls", "aria-live",
+        "aria-owns", "aria-haspopup", "aria-keyshortcuts", "aria-roledescription"]
+};
+
+/**
+ * Get the implicit role of the element by the HTML-AAM mappings.
+ *
+ * @param element {Element}
+ * @return {String|null} The implicit role, or null if the element has no role
+ * */
+__pulsar_utils__.getImplicitRole = function(element) {
+    const a11y = __pulsar_ACCESSIBILITY;
+    const tag = element.localName;
+    const hasName = () => element.hasAttribute("aria-label") || element.hasAttribute("aria-labelledby");
+    const inSectioning = () => {
+        for (let p = element.parentElement; p; p = p.parentElement) {
+            if (["article", "aside", "main", "nav", "section"].includes(p.localName)) return true;
+            if (a11y.sectioningRoles.includes(p.getAttribute("role"))) return true;
+        }
+        return false
+    };
+
+    switch (tag) {
+        case "a":
+        case "area":
+            return element.hasAttribute("href") ? "link" : null;
+        case "article": return "article";
+        case "aside": return "complementary";
+        case "button": return "button";
+        case "datalist": return "listbox";
+        case "dd": return "definition";
+        case "details": return "group";
+        case "dialog": return "dialog";
+        case "dt": return "term";
+        case "fieldset": return "group";
+        case "figure": return "figure";
+        case "footer": return inSectioning() ? null : "contentinfo";
+        case "header": return inSectioning() ? null : "banner";
+        case "form": return hasName() ? "form" : null;
+        case "section": return hasName() ? "region" : null;
+        case "h1": case "h2": case "h3": case "h4": case "h5": case "h6":
+            return "heading";
+        case "hr": return "separator";
+        case "img":
+            if (element.getAttribute("alt") === "" && !this.hasGlobalAria(element) && !this.isFocusable(element)) {
+                return "presentation"
+            }
+            return "img";
+        case "input": return this.getInputRole(element);
+        case "li": return "listitem";
+        case "main": return "main";
+        case "menu": case "ol": case "ul":
+            return "list";
+        case "nav": return "navigation";
+        case "optgroup": return "group";
+        case "option": return "option";
+        case "output": return "status";
+        case "progress": return "progressbar";
+        case "meter": return "meter";
+        case "select":
+            return (element.multiple || element.size > 1) ? "listbox" : "combobox";
+        case "summary": return "button";
+        case "table": return "table";
+        case "tbody": case "thead": case "tfoot":
+            return "rowgroup";
+        case "td": {
+            let table = element.closest("table");
+            let tableRole = table && table.getAttribute("role");
+            return (tableRole === "grid" || tableRole === "treegrid") ? "gridcell" : "cell"
+        }
+        case "th":
+            return element.getAttribute("scope") === "row" ? "rowheader" : "columnheader";
+        case "tr": return "row";
+        case "textarea": return "textbox";
+        default: return null;
+    }
+};
+
+/**
+ * Get the implicit role of an input element.
+ *
+ * @param element {HTMLInputElement}
+ * @return {String|null}
+ * */
+__pulsar_utils__.getInputRole = function(element) {
+    let type = (element.getAttribute("type") || "text").toLowerCase();
+    let list = element.getAttribute("list");
+    let hasDataList = list && element.ownerDocument.getElementById(list) != null
+        && element.ownerDocument.getElementById(list).localName === "datalist";
+
+    switch (type) {
+        case "button": case "image": case "reset": case "submit":
+            return "button";
+        case "checkbox": return "checkbox";
+        case "radio": return "radio";
+        case "range": return "slider";
+        case "number": return "spinbutton";
+        case "search": return hasDataList ? "combobox" : "searchbox";
+        case "hidden": case "color": case "file":
+            return null;
+        case "password": return "textbox";
+        default:
+            // text like inputs, an unknown type falls back to text
+            return hasDataList ? "combobox" : "textbox";
+    }
+};
+
+/**
+ * Get the role of the element, the explicit role attribute takes precedence over the implicit role.
+ *
+ * A presentational role is ignored if the element is focusable or has global aria attributes.
+ *
+ * @param element {Element}
+ * @return {String|null}
+ * */
+__pulsar_utils__.getRole = function(element) {
+    let explicit = (element.getAttribute("role") || "").trim().split(/\s+/)[0].toLowerCase();
+    if (explicit === "none" || explicit === "presentation") {
+        if (this.isFocusable(element) || this.hasGlobalAria(element)) {
+            return this.getImplicitRole(element)
+        }
+        return "presentation"
+    }
+
+    return explicit || this.getImplicitRole(element)
+};
+
+/**
+ * Check if the element has any global aria attribute.
+ *
+ * @param element {Element}
+ * @return {boolean}
+ * */
+__pulsar_utils__.hasGlobalAria = function(element) {
+    return __pulsar_ACCESSIBILITY.globalAriaAttributes.some(name => element.hasAttribute(name))
+};
+
+/**
+ * Check if the element is focusable by the keyboard or by the mouse.
+ *
+ * @param element {Element}
+ * @return {boolean}
+ * */
+__pulsar_utils__.isFocusable = function(element) {
+    if (this.isElementDisabled(element)) {
+        return false
+    }
+
+    if (element.hasAttribute("tabindex")) {
+        return true
+    }
+
+    switch (element.localName) {
+        case "a": case "area":
+            return element.hasAttribute("href");
+        case "input":
+            return element.type !== "hidden";
+        case "button": case "select": case "textarea": case "summary": case "iframe":
+            return true;
+        default:
+            return element.isContentEditable === true || element.getAttribute("contenteditable") === "true";
+    }
+};
+
+/**
+ * Check if the element is disabled, natively, by a disabled fieldset, or by aria-disabled.
+ *
+ * @param element {Element}
+ * @return {boolean}
+ * */
+__pulsar_utils__.isElementDisabled = function(element) {
+    if (element.getAttribute("aria-disabled") === "true") {
+        return true
+    }
+
+    if (!["button", "input", "select", "textarea", "optgroup", "option", "fieldset"].includes(element.localName)) {
+        return false
+    }
+
+    if (element.disabled === true) {
+        return true
+    }
+
+    // controls in a disabled fieldset are disabled, except for the ones in its first legend
+    let fieldset = element.parentElement && element.parentElement.closest("fieldset[disabled]");
+    if (fieldset) {
+        let legend = fieldset.querySelector(":scope > legend");
+        return !(legend && legend.contains(element))
+    }
+
+    return false
+};
+
+/**
+ * Get the accessible name of the element, see https://www.w3.org/TR/accname-1.2/
+ *
+ * @param element {Element}
+ * @return {String} The accessible name, an empty string if the element has no name
+ * */
+__pulsar_utils__.getAccessibleName = function(element) {
+    return this.getCleanTextContent(this.computeTextAlternative(element, { visited: new Set(), root: true }))
+};
+
+/**
+ * The text alternative computation of accname, step 2.
+ *
+ * @param node {Node}
+ * @param context {Object} {visited: the visited nodes, root: is the root node, labelledBy: is in aria-labelledby
+ *                 traversal, embedded: is in the label of a control}
+ * @return {String}
+ * */
+__pulsar_utils__.computeTextAlternative = function(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE || context.visited.has(node)) {
+        return ""
+    }
+    context.visited.add(node);
+
+    const element = node;
+    const a11y = __pulsar_ACCESSIBILITY;
+    const role = this.getRole(element);
+
+    // 2A: hidden nodes are skipped unless they are referenced by aria-labelledby
+    if (!context.labelledBy && this.isAccessibilityHidden(element)) {
+        return ""
+    }
+
+    // 2B: aria-labelledby, not followed recursively
+    let labelledBy = element.getAttribute("aria-labelledby");
+    if (labelledBy && !context.labelledBy) {
+        let doc = element.ownerDocument;
+        let texts = labelledBy.trim().split(/\s+/)
+            .map(id => doc.getElementById(id))
+            .filter(ref => ref != null)
+            .map(ref => {
+                // an element can reference itself, its own aria-label is used in this case
+                let refContext = Object.assign({}, context, { labelledBy: true, root: ref === element, visited: new Set() });
+                return this.getCleanTextContent(this.computeTextAlternative(ref, refContext))
+            })
+            .filter(text => text.length > 0);
+        if (texts.length > 0) {
+            return texts.join(" ")
+        }
+    }
+
+    // 2C: embedded controls in the label of another control contribute their value
+    if (!context.root) {
+        let value = this.getEmbeddedControlValue(element, role);
+        if (value != null) {
+            return value
+        }
+    }
+
+    // 2D: aria-label
+    let label = (element.getAttribute("aria-label") || "").trim();
+    if (label.length > 0 && !(context.embedded && role === "textbox")) {
+        return label
+    }
+
+    // 2E: the native text alternative, a figure with a caption is named by the caption only, even if it's empty
+    if (role !== "presentation") {
+        let native = this.getNativeTextAlternative(element, context);
+        if (native || (element.localName === "figure" && element.querySelector(":scope > figcaption"))) {
+            return native
+        }
+    }
+
+    // 2F: name from the content, a summary marked presentational keeps the button role because it's focusable, but
+    // it's not named from the content, like Chrome does
+    const isPresentationalSummary = element.localName === "summary"
+        && /^(none|presentation)$/.test((element.getAttribute("role") || "").trim().toLowerCase());
+    const fromContent = context.root ? a11y.nameFromContentRoles.includes(role) && !isPresentationalSummary
+        : a11y.nameFromContentRoles.includes(role) || a11y.descendantNameFromContentRoles.includes(role)
+            || context.embedded;
+    if (fromContent || context.labelledBy || (role === "presentation" && this.isFocusable(element))) {
+        if (!["input", "textarea", "select", "img"].includes(element.localName) || !context.root) {
+            let text = this.getTextFromContent(element, context);
+            if (text.trim().length > 0) {
+                return text
+            }
+        }
+    }
+
+    // 2I: the tooltip attribute
+    let title = (element.getAttribute("title") || "").trim();
+    if (title.length > 0 && !(element.localName === "input" && ["submit", "reset"].includes(element.type))) {
+        return title
+    }
+
+    return ""
+};
+
+/**
+ * Get the text of the child nodes for the accname computation, block elements are separated by spaces.
+ *
+ * @param element {Element}
+ * @param context {Object}
+ * @return {String}
+ * */
+__pulsar_utils__.getTextFromContent = function(element, context) {
+    let childContext = Object.assign({}, context, { root: false });
+    let children = element.shadowRoot ? element.shadowRoot.childNodes
+        : (element.localName === "slot" && element.assignedNodes().length > 0 ? element.assignedNodes() : element.childNodes);
+
+    let text = "";
+    const view = element.ownerDocument.defaultView;
+    Array.from(children).forEach(child => {
+        let childText = this.computeTextAlternative(child, childContext);
+        if (child.nodeType === Node.ELEMENT_NODE) {
+            let display = view ? view.getComputedStyle(child).display : "inline";
+            if (display && display !== "inline" && display !== "contents") {
+                childText = " " + childText + " ";
+            }
+        }
+        text += childText;
+    });
+
+    return text
+};
+
+/**
+ * Get the native text alternative of the element, e.g. a label, the alt attribute, the caption or the value.
+ *
+ * @param element {Element}
+ * @param context {Object}
+ * @return {String}
+ * */
+__pulsar_utils__.getNativeTextAlternative = function(element, context) {
+    const tag = element.localName;
+    const textOf = (ele) => this.getCleanTextContent(this.computeTextAlternative(ele,
+        Object.assign({}, context, { root: false, embedded: true, visited: new Set([element]) })));
+
+    if (["input", "textarea", "select", "button", "meter", "output", "progress"].includes(tag)) {
+        let type = tag === "input" ? (element.getAttribute("type") || "text").toLowerCase() : "";
+        if (tag === "input" && ["button", "submit", "reset"].includes(type)) {
+            let value = element.getAttribute("value");
+            if (value) return value;
+        }
+
+        let labels = Array.from(element.labels || []);
+        let text = labels.map(textOf).filter(t => t.length > 0).join(" ");
+        if (text) return text;
+
+        if (tag === "input" && type === "image") {
+            return element.getAttribute("alt") || element.getAttribute("value") || element.getAttribute("title") || "Submit";
+        }
+        if (tag === "input" && type === "submit") return "Submit";
+        if (tag === "input" && type === "reset") return "Reset";
+        if (tag === "input" || tag === "textarea") {
+            let placeholder = element.getAttribute("placeholder");
+            if (placeholder && !element.hasAttribute("title")) return placeholder;
+        }
+        return ""
+    }
+
+    switch (tag) {
+        case "img":
+        case "area":
+            return element.getAttribute("alt") || "";
+        case "fieldset": {
+            let legend = element.querySelector(":scope > legend");
+            return legend ? textOf(legend) : ""
+        }
+        case "figure": {
+            let caption = element.querySelector(":scope > figcaption");
+            return caption ? textOf(caption) : ""
+        }
+        case "table": {
+            let caption = element.querySelector(":scope > caption");
+            let text = caption ? textOf(caption) : "";
+            return text || element.getAttribute("summary") || ""
+        }
+        default:
+            return ""
+    }
+};
+
+/**
+ * Get the value of a control embedded in the label of another control.
+ *
+ * @param element {Element}
+ * @param role {String|null}
+ * @return {String|null} The value, or null if the element is not a control
+ * */
+__pulsar_utils__.getEmbeddedControlValue = function(element, role) {
+    switch (role) {
+        case "textbox":
+        case "searchbox":
+            return element.localName === "input" || element.localName === "textarea" ? element.value : element.textContent;
+        case "combobox":
+        case "listbox": {
+            if (element.localName === "select") {
+                return Array.from(element.selectedOptions).map(o => o.textContent).join(" ")
+            }
+            let selected = element.querySelector('[aria-selected="true"]');
+            return selected ? selected.textContent : ""
+        }
+        case "slider":
+        case "spinbutton":
+        case "progressbar":
+            return element.getAttribute("aria-valuetext") || element.getAttribute("aria-valuenow") || element.value || "";
+        default:
+            return null
+    }
+};
+
+/**
+ * Check if the element is hidden from the accessibility tree: aria-hidden, display:none or visibility:hidden.
+ *
+ * @param element {Element}
+ * @return {boolean}
+ * */
+__pulsar_utils__.isAccessibilityHidden = function(element) {
+    if (element.closest('[aria-hidden="true"]')) {
+        return true
+    }
+
+    const view = element.ownerDocument.defaultView;
+    if (!view) {
+        return false
+    }
+
+    for (let e = element; e; e = e.parentElement) {
+        if (view.getComputedStyle(e).display === "none") {
+            return true
+        }
+    }
+    return view.getComputedStyle(element).visibility === "hidden"
+};
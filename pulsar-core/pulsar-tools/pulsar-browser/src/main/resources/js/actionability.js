@@ -0,0 +1,205 @@
+"use strict";
+
+/**
+ * The actionability checks performed before an action, like Playwright does, so an action never lands on a detached,
+ * hidden, animating, disabled or covered element silently.
+ *
+ * The checks run in order, the first failed check is reported as a structured failure:
+ *
+ * ```
+ * {
+ *   ok: false,
+ *   reason: "not-visible",            // one of __pulsar_ACTIONABILITY.reasons
+ *   message: "Element is not visible",
+ *   occludedBy: null                  // the selector of the covering element if the reason is "not-receiving-events"
+ * }
+ * ```
+ *
+ * The checks are retried every animation frame until they pass or options.timeout expires, a detached element is
+ * never retried.
+ * */
+const __pulsar_ACTIONABILITY = {
+    /**
+     * The failure reasons, by check
+     * */
+    reasons: {
+        found: "not-found",
+        handle: "stale-handle",
+        attached: "not-attached",
+        visible: "not-visible",
+        enabled: "not-enabled",
+        stable: "not-stable",
+        receivesEvents: "not-receiving-events"
+    },
+    /**
+     * The default time to wait for an element to become actionable, in milliseconds, 0 to check only once
+     * */
+    timeout: 0
+};
+
+/**
+ * Wait for the next animation frame, or a timer of a frame's length if the page is in the background and animation
+ * frames are paused.
+ *
+ * @return {Promise<void>}
+ * */
+__pulsar_utils__.nextAnimationFrame = function() {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, 50);
+        requestAnimationFrame(() => {
+            clearTimeout(timer);
+            resolve();
+        });
+    })
+};
+
+/**
+ * Wait until the element is actionable.
+ *
+ * @param element {Element|null}
+ * @param options {Object} {timeout: the time to wait in milliseconds, force: true to skip the checks}
+ * @return {Promise<Object|null>} null if the element is actionable, otherwise the failure of the first failed check
+ * */
+__pulsar_utils__.waitForActionable = async function(element, options = {}) {
+    if (!element) {
+        return this.createActionabilityFailure("found", 'Element is not found')
+    }
+    if (options.force) {
+        return null
+    }
+
+    const timeout = options.timeout ?? __pulsar_ACTIONABILITY.timeout;
+    const deadline = Date.now() + timeout;
+    let failure = await this.checkActionable(element);
+    while (failure && failure.reason !== "not-attached" && Date.now() < deadline) {
+        await this.nextAnimationFrame();
+        failure = await this.checkActionable(element);
+    }
+    return failure
+};
+
+/**
+ * Run the actionability checks once: attached, visible, enabled, stable and receives events.
+ *
+ * The element is scrolled into view if its center is out of the viewport, so it can be hit-tested.
+ *
+ * @param element {Element}
+ * @return {Promise<Object|null>} null if the element is actionable, otherwise the failure of the first failed check
+ * */
+__pulsar_utils__.checkActionable = async function(element) {
+    if (!element.isConnected) {
+        return this.createActionabilityFailure("attached", 'Element is not attached to the document')
+    }
+    if (!this.isElementVisible(element)) {
+        return this.createActionabilityFailure("visible", 'Element is not visible')
+    }
+    if (this.isElementDisabled(element)) {
+        return this.createActionabilityFailure("enabled", 'Element is not enabled')
+    }
+    if (!await this.isElementStable(element)) {
+        return this.createActionabilityFailure("stable", 'Element is not stable, its bounding box is changing')
+    }
+    // the element may be detached while waiting for the animation frames
+    if (!element.isConnected) {
+        return this.createActionabilityFailure("attached", 'Element is not attached to the document')
+    }
+
+    let { x, y } = this.getElementCenter(element);
+    if (x < 0 || y < 0 || x >= window.innerWidth || y >= window.innerHeight) {
+        element.scrollIntoView({ block: "center", inline: "center", behavior: "instant" });
+        ({ x, y } = this.getElementCenter(element));
+    }
+
+    const hit = this.getHitTarget(element, x, y);
+    if (hit !== undefined && !this.isHitTargetOf(hit, element)) {
+        const occludedBy = hit ? this.buildSelector(hit) : null;
+        const failure = this.createActionabilityFailure("receivesEvents",
+            'Element does not receive pointer events' + (occludedBy ? ', it is covered by ' + occludedBy : ''));
+        failure.occludedBy = occludedBy;
+        return failure
+    }
+
+    return null
+};
+
+/**
+ * Check if the bounding box of the element is the same over two animation frames.
+ *
+ * @param element {Element}
+ * @return {Promise<boolean>}
+ * */
+__pulsar_utils__.isElementStable = async function(element) {
+    const sameRect = (a, b) => a.top === b.top && a.left === b.left && a.width === b.width && a.height === b.height;
+    let rect = element.getBoundingClientRect();
+    for (let i = 0; i < 2; ++i) {
+        await this.nextAnimationFrame();
+        const next = element.getBoundingClientRect();
+        if (!sameRect(rect, next)) {
+            return false
+        }
+        rect = next;
+    }
+    return true
+};
+
+/**
+ * Hit-test the point in the root of the element, the shadow root if the element is in a shadow tree.
+ *
+ * @param element {Element}
+ * @param x {Number}
+ * @param y {Number}
+ * @return {Element|null|undefined} The topmost element at the point, undefined if hit-testing is not supported
+ * */
+__pulsar_utils__.getHitTarget = function(element, x, y) {
+    const root = element.getRootNode();
+    const hitTester = root.elementFromPoint ? root : document;
+    if (!hitTester.elementFromPoint) {
+        return undefined
+    }
+    return hitTester.elementFromPoint(x, y)
+};
+
+/**
+ * Check if a click on the hit target reaches the element: the hit target is the element, a descendant of it, or a
+ * label of it, as a custom styled checkbox is often covered by its label.
+ *
+ * @param hit {Element|null}
+ * @param element {Element}
+ * @return {boolean}
+ * */
+__pulsar_utils__.isHitTargetOf = function(hit, element) {
+    if (!hit) {
+        return false
+    }
+    if (hit === element || element.contains(hit)) {
+        return true
+    }
+    const label = hit.closest("label");
+    return label != null && label.control === element
+};
+
+/**
+ * Create the failure of an element which is not found, a stale handle of the element or of the root is reported as
+ * such, since the element did exist.
+ *
+ * @param selector {String|Number} The unified selector or an element handle
+ * @param root {String|Number|Element} [root] The root to select from
+ * @return {Object} {ok: false, reason, message}
+ * */
+__pulsar_utils__.createNotFoundFailure = function(selector, root) {
+    const stale = [selector, root].find(s => this.isElementHandle(s) && this.getHandleState(s) === "stale");
+    if (stale !== undefined) {
+        return this.createActionabilityFailure("handle",
+            'Stale element handle: ' + this.parseHandle(stale) + ', the element is detached from the document')
+    }
+    return this.createActionabilityFailure("found", 'Element is not found')
+};
+
+/**
+ * @param check {String} The failed check, a key of __pulsar_ACTIONABILITY.reasons
+ * @param message {String}
+ * @return {Object} {ok: false, reason, message}
+ * */
+__pulsar_utils__.createActionabilityFailure = function(check, message) {
+    return { ok: false, reason: __pulsar_ACTIONABILITY.reasons[check], message: message }
+};
@@ -9,6 +9,12 @@ const __pulsar_DEFAULT_CONFIGS = {
     "ATTR_OVERFLOW_VISIBLE": "_visible",
     "ATTR_ELEMENT_NODE_VI": "vi",
     "ATTR_TEXT_NODE_VI": "tv",
+    "ATTR_FRAME_PATH": "_fp",
+    "ATTR_FRAME_OPAQUE": "_fo",
     "ATTR_COMPUTED_STYLE": null,
-    "ATTR_ELEMENT_NODE_DATA": null
+    "ATTR_ELEMENT_NODE_DATA": null,
+    "TRAVERSE_SHADOW_DOM": false,
+    "TRAVERSE_FRAMES": false,
+    "TRACK_LISTENERS": false,
+    "TRACK_NETWORK": false
 };
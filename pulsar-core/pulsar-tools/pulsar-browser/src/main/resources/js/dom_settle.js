@@ -1,20 +1,123 @@
-
 (() => {
     try {
         const w = window;
+        const now = () => (performance && performance.now) ? performance.now() : Date.now();
+
+        /**
+         * The default observer profile keeps attributes OFF to reduce noise, so class/style/aria toggles are not
+         * counted as instability. UIs that reveal results by toggling attributes need a profile with attributes on.
+         *
+         * - attributes: observe attribute mutations
+         * - attributeFilter: the observed attributes if attributes is on
+         * - ignoreSelectors: mutations inside elements matching any of the selectors are ignored, e.g. tickers, clocks, ads
+         * - viewportOnly: mutations outside the viewport are reported but do not make the DOM unstable
+         * */
+        const DEFAULT_PROFILE = {
+            attributes: false,
+            attributeFilter: ['hidden', 'aria-busy', 'aria-hidden', 'aria-expanded', 'class', 'style', 'open', 'disabled'],
+            ignoreSelectors: [],
+            viewportOnly: false
+        };
+
+        const newReport = () => ({
+            childList: 0, characterData: 0, attributes: 0, ignored: 0, offscreen: 0,
+            attributeNames: {}, lastSelector: null, lastType: null
+        });
+
+        // A short css path of the element, used to explain which part of the page keeps changing
+        const describe = (node) => {
+            let ele = node && node.nodeType === 1 ? node : (node && node.parentElement);
+            const parts = [];
+            while (ele && ele.nodeType === 1 && parts.length < 4) {
+                let part = ele.tagName.toLowerCase();
+                if (ele.id) {
+                    parts.unshift(part + '#' + ele.id);
+                    break;
+                }
+                const cls = typeof ele.className === 'string' ? ele.className.trim().split(/\s+/).filter(Boolean) : [];
+                if (cls.length > 0) part += '.' + cls.slice(0, 2).join('.');
+                parts.unshift(part);
+                ele = ele.parentElement;
+            }
+            return parts.join(' > ') || null;
+        };
+
+        const isIgnored = (node, selectors) => {
+            if (selectors.length === 0) return false;
+            const ele = node && node.nodeType === 1 ? node : (node && node.parentElement);
+            if (!ele || !ele.closest) return false;
+            return selectors.some(selector => {
+                try { return ele.closest(selector) != null; } catch (_) { return false; }
+            });
+        };
+
+        const isOffscreen = (node) => {
+            const ele = node && node.nodeType === 1 ? node : (node && node.parentElement);
+            if (!ele || !ele.getBoundingClientRect) return false;
+            const r = ele.getBoundingClientRect();
+            const vw = w.innerWidth || document.documentElement.clientWidth;
+            const vh = w.innerHeight || document.documentElement.clientHeight;
+            return r.bottom < 0 || r.right < 0 || r.top > vh || r.left > vw;
+        };
+
+        const onMutations = (mutations) => {
+            const profile = w.__pulsar_DomSettleProfile;
+            const report = w.__pulsar_DomSettleStats;
+            let unstable = false;
+            for (const m of mutations) {
+                if (isIgnored(m.target, profile.ignoreSelectors)) {
+                    report.ignored++;
+                    continue;
+                }
+                if (profile.viewportOnly && isOffscreen(m.target)) {
+                    report.offscreen++;
+                    continue;
+                }
+                report[m.type]++;
+                if (m.type === 'attributes') {
+                    report.attributeNames[m.attributeName] = (report.attributeNames[m.attributeName] || 0) + 1;
+                }
+                report.lastType = m.type;
+                report.lastSelector = describe(m.target);
+                unstable = true;
+            }
+            if (unstable) {
+                w.__pulsar_DomStamp++;
+                w.__pulsar_DomLastTs = now();
+            }
+        };
+
+        /**
+         * (Re)install the mutation observer with the given profile, the missing fields are taken from the default profile.
+         * The mutation counts are reset.
+         * */
+        if (!w.__pulsar_ConfigureDomSettle) {
+            w.__pulsar_ConfigureDomSettle = function (profile) {
+                const p = Object.assign({}, DEFAULT_PROFILE, profile || {});
+                w.__pulsar_DomSettleProfile = p;
+                w.__pulsar_DomSettleStats = newReport();
+                if (w.__pulsar_DomObserver) {
+                    w.__pulsar_DomObserver.disconnect();
+                }
+                const obs = new MutationObserver(onMutations);
+                // Observe subtree text/content/node additions, attributes only if the profile asks for
+                const opts = { subtree: true, childList: true, characterData: true };
+                if (p.attributes) {
+                    opts.attributes = true;
+                    if (p.attributeFilter && p.attributeFilter.length > 0) {
+                        opts.attributeFilter = p.attributeFilter;
+                    }
+                }
+                obs.observe(document, opts);
+                w.__pulsar_DomObserver = obs;
+                return p;
+            }
+        }
+
         if (!w.__pulsar_DomObserver) {
             w.__pulsar_DomStamp = 0;
-            w.__pulsar_DomLastTs = (performance && performance.now) ? performance.now() : Date.now();
-            const obs = new MutationObserver(() => {
-                w.__pulsar_DomStamp++;
-                w.__pulsar_DomLastTs = (performance && performance.now) ? performance.now() : Date.now();
-            });
-            // Observe subtree text/content/node additions; attributes are OFF to reduce noise
-            const opts = { subtree: true, childList: true, characterData: true };
-            // Intentionally DO NOT observe attributes or set attributeFilter
-            // This avoids counting class/style/aria toggles as instability
-            obs.observe(document, opts);
-            w.__pulsar_DomObserver = obs;
+            w.__pulsar_DomLastTs = now();
+            w.__pulsar_ConfigureDomSettle(DEFAULT_PROFILE);
         }
         // Bind lifecycle/navigation-ish events once to bump the stamp on non-mutation transitions
         if (!w.__pulsar_DomEventsBound) {
@@ -28,6 +131,24 @@
             document.addEventListener('visibilitychange', bump, { once: false, passive: true });
             w.__pulsar_DomEventsBound = true;
         }
+        // A single page application changes its route by history.pushState/replaceState without any event, so hook
+        // them to bump the stamp and notify the listeners. A Proxy keeps the native toString of the hooked functions.
+        if (!w.__pulsar_HistoryListeners) {
+            const listeners = new Set();
+            w.__pulsar_HistoryListeners = listeners;
+            ['pushState', 'replaceState'].forEach(name => {
+                const original = w.history && w.history[name];
+                if (typeof original !== 'function') return;
+                w.history[name] = new Proxy(original, {
+                    apply(target, thisArg, args) {
+                        const result = Reflect.apply(target, thisArg, args);
+                        w.__pulsar_DomStamp++;
+                        listeners.forEach(listener => { try { listener(name); } catch (_) {} });
+                        return result;
+                    }
+                });
+            });
+        }
         if (!w.__pulsar_GetDomSignature) {
             w.__pulsar_GetDomSignature = function () {
                 const rs = document.readyState;
@@ -36,6 +157,93 @@
                 return (w.__pulsar_DomStamp * 4) + rsCode;
             }
         }
+        /**
+         * Explain the DOM stability: mutation counts per category since the observer is (re)configured,
+         * and the last mutated element.
+         * */
+        if (!w.__pulsar_GetDomSettleReport) {
+            w.__pulsar_GetDomSettleReport = function () {
+                const stats = w.__pulsar_DomSettleStats;
+                return {
+                    stamp: w.__pulsar_DomStamp,
+                    readyState: document.readyState,
+                    quietMs: Math.round(now() - w.__pulsar_DomLastTs),
+                    counts: {
+                        childList: stats.childList,
+                        characterData: stats.characterData,
+                        attributes: stats.attributes,
+                        ignored: stats.ignored,
+                        offscreen: stats.offscreen
+                    },
+                    attributeNames: Object.assign({}, stats.attributeNames),
+                    lastMutationType: stats.lastType,
+                    lastMutatedSelector: stats.lastSelector,
+                    profile: w.__pulsar_DomSettleProfile
+                };
+            }
+        }
+        /**
+         * Wait until the DOM is quiet for quietMs milliseconds, and an element matching the selector is present if given.
+         * The returned Promise never rejects, it resolves with a settle report whose reason is one of:
+         * - quiet: the DOM is settled
+         * - timeout: the DOM is not settled in timeoutMs milliseconds
+         * - navigation: the page is navigating away, or the history is changed by a single page application
+         * - invalid-selector: the selector is not a valid css selector
+         *
+         * Drivers can await it in a single call, e.g. Runtime.evaluate with awaitPromise: true.
+         * */
+        if (!w.__pulsar_WaitForSettled) {
+            w.__pulsar_WaitForSettled = function (options) {
+                const { quietMs = 500, timeoutMs = 10000, selector = null } = options || {};
+                const stats = () => w.__pulsar_DomSettleStats;
+                const countMutations = () => stats().childList + stats().characterData + stats().attributes;
+                const start = now();
+                const startMutations = countMutations();
+
+                return new Promise((resolve) => {
+                    let timer = null;
+                    let present = null;
+                    const events = ['pagehide', 'beforeunload', 'hashchange', 'popstate'];
+                    const onNavigation = () => finish('navigation');
+                    const finish = (reason) => {
+                        clearTimeout(timer);
+                        events.forEach(type => w.removeEventListener(type, onNavigation));
+                        w.__pulsar_HistoryListeners.delete(onNavigation);
+                        resolve({
+                            reason: reason,
+                            elapsed: Math.round(now() - start),
+                            mutations: countMutations() - startMutations,
+                            selectorPresent: present,
+                            lastMutatedSelector: stats().lastSelector
+                        });
+                    };
+                    const check = () => {
+                        const t = now();
+                        const quietFor = t - w.__pulsar_DomLastTs;
+                        if (selector) {
+                            try {
+                                present = document.querySelector(selector) != null;
+                            } catch (_) {
+                                // an invalid selector can never be present, do not wait for it
+                                finish('invalid-selector');
+                                return;
+                            }
+                        }
+                        if (quietFor >= quietMs && present !== false) {
+                            finish('quiet');
+                        } else if (t - start >= timeoutMs) {
+                            finish('timeout');
+                        } else {
+                            const wait = present !== false ? quietMs - quietFor : 50;
+                            timer = setTimeout(check, Math.max(10, Math.min(wait, timeoutMs - (t - start))));
+                        }
+                    };
+                    events.forEach(type => w.addEventListener(type, onNavigation, { once: true }));
+                    w.__pulsar_HistoryListeners.add(onNavigation);
+                    check();
+                });
+            }
+        }
         return 1;
     } catch (e) {
         return -1;
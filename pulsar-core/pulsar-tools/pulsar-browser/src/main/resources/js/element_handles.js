@@ -0,0 +1,128 @@
+"use strict";
+
+/**
+ * The element handles: opaque ids of the elements returned by the extraction helpers, so an element can be operated
+ * later by its handle rather than by re-resolving a selector, which may point to another element after a re-render.
+ *
+ * The registry holds the elements weakly, a handle never keeps a removed element alive. A handle is stale if its
+ * element is detached from the document or garbage collected, a stale handle never selects another element: the read
+ * helpers select nothing, like `selectFirstText()` returns null, and the actions report the failure "stale-handle",
+ * see getHandleState().
+ *
+ * The handles are positive integers and every selection helper accepts a handle in place of a selector, either as a
+ * number, like `click(17)`, or by the unified selector syntax, like `click("handle=17")`. A string of digits is not a
+ * handle, it's a selector. The stable indexes of the interactive elements are the handles.
+ * */
+const __pulsar_ELEMENT_HANDLES = {
+    /**
+     * element -> handle
+     * */
+    handles: new WeakMap(),
+    /**
+     * handle -> WeakRef(element)
+     * */
+    refs: new Map(),
+    nextHandle: 1,
+    /**
+     * Drops the refs of the garbage collected elements
+     * */
+    finalizer: typeof FinalizationRegistry === 'function'
+        ? new FinalizationRegistry(handle => __pulsar_ELEMENT_HANDLES.refs.delete(handle)) : null
+};
+
+/**
+ * Get the handle of the element, a new handle is assigned if the element is seen for the first time.
+ *
+ * @param element {Element}
+ * @return {Number}
+ * */
+__pulsar_utils__.getElementHandle = function(element) {
+    const state = __pulsar_ELEMENT_HANDLES;
+    let handle = state.handles.get(element);
+    if (handle === undefined) {
+        handle = state.nextHandle++;
+        state.handles.set(element, handle);
+        state.refs.set(handle, new WeakRef(element));
+        if (state.finalizer) state.finalizer.register(element, handle, element);
+    }
+    return handle
+};
+
+/**
+ * Check if the value is an element handle, a positive integer or a string like "handle=17".
+ *
+ * @param value {*}
+ * @return {boolean}
+ * */
+__pulsar_utils__.isElementHandle = function(value) {
+    return (typeof value === 'number' && Number.isInteger(value) && value > 0)
+        || (typeof value === 'string' && /^\s*handle=\s*\d+\s*$/.test(value))
+};
+
+/**
+ * Parse the handle, the handle functions also accept a string of digits, as they never take a selector.
+ *
+ * @param handle {Number|String} A handle, like 17, "17" or "handle=17"
+ * @return {Number} The handle, or NaN if it's malformed
+ * */
+__pulsar_utils__.parseHandle = function(handle) {
+    if (typeof handle === 'number') {
+        return handle
+    }
+    const m = String(handle).match(/^\s*(?:handle=\s*)?(\d+)\s*$/);
+    return m ? Number(m[1]) : NaN
+};
+
+/**
+ * Get the state of the handle.
+ *
+ * @param handle {Number|String}
+ * @return {String} "live" if the element is in the document, "stale" if it's detached or garbage collected,
+ *                  "unknown" if the handle is never assigned
+ * */
+__pulsar_utils__.getHandleState = function(handle) {
+    const state = __pulsar_ELEMENT_HANDLES;
+    handle = this.parseHandle(handle);
+    if (!(handle > 0 && handle < state.nextHandle)) {
+        return "unknown"
+    }
+
+    const ref = state.refs.get(handle);
+    const element = ref ? ref.deref() : undefined;
+    return element && element.isConnected ? "live" : "stale"
+};
+
+/**
+ * Resolve the element of the handle.
+ *
+ * @param handle {Number|String}
+ * @return {Element|null} The element, or null if the handle is stale or unknown, see getHandleState()
+ * */
+__pulsar_utils__.resolveHandle = function(handle) {
+    if (this.getHandleState(handle) !== "live") {
+        return null
+    }
+    return __pulsar_ELEMENT_HANDLES.refs.get(this.parseHandle(handle)).deref()
+};
+
+/**
+ * Release the handle, the handle is stale afterward and the element gets a new handle if it's seen again.
+ *
+ * @param handle {Number|String}
+ * @return {boolean} true if the handle is released
+ * */
+__pulsar_utils__.releaseHandle = function(handle) {
+    const state = __pulsar_ELEMENT_HANDLES;
+    handle = this.parseHandle(handle);
+    const ref = state.refs.get(handle);
+    if (!ref) {
+        return false
+    }
+
+    const element = ref.deref();
+    if (element) {
+        state.handles.delete(element);
+        if (state.finalizer) state.finalizer.unregister(element);
+    }
+    return state.refs.delete(handle)
+};
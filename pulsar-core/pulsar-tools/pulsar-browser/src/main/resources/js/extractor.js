@@ -0,0 +1,178 @@
+"use strict";
+
+/**
+ * Extract a set of named fields in one call, so a page is scraped in a single round trip rather than one evaluation
+ * per field.
+ *
+ * A spec maps field names to field specs, a field spec is either a selector string, which selects the text of the
+ * first match, or an object:
+ *
+ * ```
+ * {
+ *   selector: ".price",          // the unified selector, see resolveSelector(), relative to the record for nested fields
+ *   attribute: "href",           // extract the attribute, or
+ *   property: "value",           // extract the property, or
+ *   text: true,                  // extract the clean text, the default
+ *   multiple: false,             // extract all the matches into an array
+ *   transform: "trim",           // a transform or an array of transforms, see __pulsar_EXTRACTOR.transforms
+ *   fields: { ... },             // nested fields, every match is a record extracted by the nested spec
+ *   handle: false,               // extract {value, handle} instead of the value, see getElementHandle()
+ *   default: null                // the value if nothing matches
+ * }
+ * ```
+ * */
+const __pulsar_EXTRACTOR = {
+    /**
+     * The transforms of the extracted values, a transform of a null value is always null
+     * */
+    transforms: {
+        "trim": (value) => String(value).replace(/\s+/g, " ").trim(),
+        "lowercase": (value) => String(value).toLowerCase(),
+        "uppercase": (value) => String(value).toUpperCase(),
+        "number": (value) => {
+            if (typeof value === "number") return value;
+            const typed = __pulsar_utils__.parseTypedValue(value);
+            const number = typed.type === "range" ? typed.min : typed.value;
+            return typeof number === "number" ? number : null
+        },
+        "integer": (value) => {
+            const number = __pulsar_EXTRACTOR.transforms["number"](value);
+            return number === null ? null : Math.trunc(number)
+        },
+        "absolute-url": (value) => {
+            try {
+                return new URL(String(value).trim(), document.baseURI).href
+            } catch (e) {
+                return null
+            }
+        },
+        "typed": (value) => __pulsar_utils__.parseTypedValue(value)
+    }
+};
+
+/**
+ * Extract the fields described by the spec.
+ *
+ * @param spec {Object|String} The spec, or the spec in json format
+ * @param root {String|Number|Element|null} The root to select from, a selector, an element handle or an element
+ * @return {Object|null} The extracted fields by name, or null if the root is not found
+ * */
+__pulsar_utils__.extract = function(spec, root) {
+    if (typeof spec === 'string') {
+        spec = JSON.parse(spec);
+    }
+    if (spec == null || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw this.createStacklessError('The extract spec must be an object of named fields');
+    }
+
+    root = this.resolveRoot(root);
+    if (!root) {
+        return null
+    }
+
+    let result = {};
+    Object.keys(spec).forEach(name => {
+        result[name] = this.extractField(spec[name], root, name);
+    });
+    return result
+};
+
+/**
+ * Extract a field.
+ *
+ * @param field {Object|String} The field spec
+ * @param root {Element|Document}
+ * @param name {String} The field name, used in error messages
+ * @return {*} The value, an array of values if the field is multiple
+ * */
+__pulsar_utils__.extractField = function(field, root, name) {
+    if (typeof field === 'string') {
+        field = { selector: field };
+    }
+
+    const defaultValue = field.default ?? (field.multiple ? [] : null);
+    let elements;
+    if (!field.selector) {
+        // no selector, the field is extracted from the root itself, for example, an attribute of a record
+        elements = root.nodeType === Node.ELEMENT_NODE ? [root] : [];
+    } else {
+        try {
+            elements = field.multiple ? this.resolveSelectorAll(field.selector, root)
+                : [this.resolveSelector(field.selector, root)].filter(e => e != null);
+        } catch (e) {
+            throw this.createFieldError(name, e, field.selector);
+        }
+    }
+
+    let values;
+    try {
+        values = elements.map(element => this.extractFieldValue(field, element, name));
+    } catch (e) {
+        throw this.createFieldError(name, e);
+    }
+    if (!field.fields) {
+        values = values.filter(v => v != null);
+    }
+
+    if (field.multiple) {
+        return values.length > 0 ? values : defaultValue
+    }
+    return values.length > 0 ? values[0] : defaultValue
+};
+
+/**
+ * Extract the value of a field from a matched element.
+ *
+ * @param field {Object} The field spec
+ * @param element {Element}
+ * @param name {String}
+ * @return {*}
+ * */
+__pulsar_utils__.extractFieldValue = function(field, element, name) {
+    if (field.handle) {
+        const value = this.extractFieldValue(Object.assign({}, field, { handle: false }), element, name);
+        return value == null ? null : { value: value, handle: this.getElementHandle(element) }
+    }
+    if (field.fields) {
+        return this.extract(field.fields, element)
+    }
+
+    let value;
+    if (field.attribute) {
+        value = element.getAttribute(field.attribute);
+    } else if (field.property) {
+        value = element[field.property];
+    } else {
+        value = this.getTextContent(element);
+    }
+
+    const transforms = [].concat(field.transform || []);
+    for (const transform of transforms) {
+        if (value == null) {
+            break;
+        }
+        const fn = __pulsar_EXTRACTOR.transforms[transform];
+        if (!fn) {
+            throw this.createStacklessError(`Unknown transform: ${transform}`);
+        }
+        value = fn(value);
+    }
+    return value
+};
+
+/**
+ * Create the error of a field, the field name is attached to the cause, and a malformed selector is reported as an
+ * invalid selector of the field.
+ *
+ * @param name {String} The field name
+ * @param cause {*} The error thrown while extracting the field
+ * @param selector {String} [selector] The selector of the field if the error is thrown while selecting
+ * @return {Error}
+ * */
+__pulsar_utils__.createFieldError = function(name, cause, selector) {
+    if (selector && cause && cause.name === "SyntaxError") {
+        return this.createStacklessError(`Invalid selector of field "${name}": ${selector}`)
+    }
+    const message = cause && cause.message ? cause.message : String(cause);
+    return this.createStacklessError(`Failed to extract field "${name}": ${message}`)
+};
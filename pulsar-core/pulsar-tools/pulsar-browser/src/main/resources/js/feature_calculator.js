@@ -6,8 +6,11 @@
 
 /**
  * Create a new NodeFeatureCalculator
+ *
+ * @param options {Object} the traverse options, if options.frames is true, the calculator works with a traversor
+ * which descends into iframes, and the rectangles of the nodes in frames are in the top document's coordinates.
  */
-let __pulsar_NodeFeatureCalculator = function() {
+let __pulsar_NodeFeatureCalculator = function(options = {}) {
     this.stopped = false;
 
     // __pulsar_CONFIGS is generated by Kotlin code
@@ -16,6 +19,16 @@ let __pulsar_NodeFeatureCalculator = function() {
     this.debug = this.config.debug;
 
     this.sequence = 0;
+
+    this.frames = !!options.frames;
+
+    /**
+     * The frames entered, the top document is the bottom of the stack.
+     * path: the frame path, for example, "0.2" is the third iframe in the first iframe of the top document
+     * origin: the position of the frame's viewport in the top viewport
+     * offset: the offset to convert the rectangles calculated in the frame to the top document's coordinates
+     * */
+    this.frameStack = [{ path: "", origin: { x: 0, y: 0 }, offset: { x: 0, y: 0 }, childCount: 0 }];
 };
 
 window.__pulsar_ = window.__pulsar_ || function () {}
@@ -40,6 +53,14 @@ __pulsar_NodeFeatureCalculator.prototype.head = function(node, depth) {
     }
 
     if (node.__pulsar_isIFrame()) {
+        if (this.frames) {
+            this.enterFrame(node)
+        }
+        return
+    }
+
+    // the shadow root is a boundary reported by the traversor, its host and its children are the nodes to calculate
+    if (node.__pulsar_isShadowRoot()) {
         return
     }
 
@@ -74,6 +95,11 @@ __pulsar_NodeFeatureCalculator.prototype.calcSelfIndicator = function(node, dept
 
     // Calculate the rectangle of this node
     nodeExt.rect = node.__pulsar_getRect();
+    let frameOffset = this.frameStack[this.frameStack.length - 1].offset;
+    if (nodeExt.rect && (frameOffset.x !== 0 || frameOffset.y !== 0)) {
+        nodeExt.rect.x += frameOffset.x;
+        nodeExt.rect.y += frameOffset.y;
+    }
 
     // TODO: since there are too many _hidden nodes, we should simplified it to save space
     if (node.__pulsar_isElement()) {
@@ -119,6 +145,13 @@ __pulsar_NodeFeatureCalculator.prototype.tail = function(node, depth) {
     }
 
     if (node.__pulsar_isIFrame()) {
+        if (this.frames) {
+            this.leaveFrame(node)
+        }
+        return
+    }
+
+    if (node.__pulsar_isShadowRoot()) {
         return
     }
 
@@ -151,6 +184,56 @@ __pulsar_NodeFeatureCalculator.prototype.tail = function(node, depth) {
     }
 };
 
+/**
+ * Enter an iframe, tag it with the frame path, and mark it as opaque if its document is not accessible.
+ *
+ * @param frame {HTMLIFrameElement} the iframe to enter
+ */
+__pulsar_NodeFeatureCalculator.prototype.enterFrame = function(frame) {
+    let config = this.config;
+    let parent = this.frameStack[this.frameStack.length - 1];
+    let index = parent.childCount++;
+    let path = parent.path ? parent.path + "." + index : index.toString();
+    frame.setAttribute(config.ATTR_FRAME_PATH, path);
+
+    // the position of the frame's viewport in the top viewport
+    let r = frame.getBoundingClientRect();
+    let origin = {
+        x: parent.origin.x + r.left + frame.clientLeft,
+        y: parent.origin.y + r.top + frame.clientTop
+    };
+    let offset = { x: 0, y: 0 };
+
+    let doc = __pulsar_utils__.getFrameDocument(frame);
+    if (!doc || !doc.body) {
+        frame.setAttribute(config.ATTR_FRAME_OPAQUE, "cross-origin");
+    } else if (!doc.defaultView || !doc.defaultView.__pulsar_utils__) {
+        // our scripts are not injected into the frame, so nothing can be calculated inside
+        frame.setAttribute(config.ATTR_FRAME_OPAQUE, "unscripted");
+    } else {
+        // rectangles calculated in the frame are relative to the frame's body, see __pulsar_utils__.getElementClientRect
+        let frameBodyRect = doc.defaultView.__pulsar_utils__.bodyRect || doc.body.getBoundingClientRect();
+        let topBodyRect = __pulsar_utils__.bodyRect || document.body.getBoundingClientRect();
+        offset = {
+            x: origin.x + frameBodyRect.left - topBodyRect.left,
+            y: origin.y + frameBodyRect.top - topBodyRect.top
+        };
+    }
+
+    this.frameStack.push({ path: path, origin: origin, offset: offset, childCount: 0 });
+};
+
+/**
+ * Leave an iframe.
+ *
+ * @param frame {HTMLIFrameElement} the iframe to leave
+ */
+__pulsar_NodeFeatureCalculator.prototype.leaveFrame = function(frame) {
+    if (this.frameStack.length > 1) {
+        this.frameStack.pop();
+    }
+};
+
 /**
  * Calculate the width of the text node, this is a complement of the rectangle information, can be used for debugging
  *
@@ -160,6 +243,11 @@ __pulsar_NodeFeatureCalculator.prototype.tail = function(node, depth) {
  */
 __pulsar_NodeFeatureCalculator.prototype.calcCharacterWidth = function(node, depth) {
     let parent = node.parentElement;
+    if (!parent) {
+        // a text node directly under a shadow root has no parent element
+        return 0
+    }
+
     let cw = parent.getAttribute('_cw');
     let width = 0;
     if (!cw) {
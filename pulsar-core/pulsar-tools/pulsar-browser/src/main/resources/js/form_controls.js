@@ -0,0 +1,188 @@
+"use strict";
+
+/**
+ * Operate form controls the way a framework like React or Vue can observe.
+ *
+ * An assignment to element.value is reverted by a controlled component because the framework tracks the value by
+ * overriding the value setter of the instance, so the values are set by the native setters of the prototypes, and
+ * the input and change events are dispatched after.
+ * */
+const __pulsar_FORM_CONTROLS = {
+    /**
+     * The input types whose value is set as a whole rather than typed, the browser sanitizes a malformed value to ""
+     * */
+    wholeValueTypes: ["date", "time", "datetime-local", "month", "week", "color", "range"],
+    /**
+     * The input types which can not be filled
+     * */
+    unfillableTypes: ["checkbox", "radio", "file", "submit", "reset", "button", "image", "hidden"]
+};
+
+/**
+ * Fill the element with the text, the previous value is replaced.
+ *
+ * Supports text-like inputs, textarea, contenteditable elements, and date, time, color and range inputs whose value
+ * must be well-formed, for example, 2024-01-31 for a date input.
+ *
+ * @param selector {String|Number} The unified selector or an element handle
+ * @param text {String}
+ * @param root {String|Number|Element} [root] The root to select from, a selector or an element handle
+ * @return {boolean} true if the element is filled, false if the element is not found
+ * @throws Error if the element can not be filled or the value is malformed
+ * */
+__pulsar_utils__.fill = function(selector, text, root) {
+    const fc = __pulsar_FORM_CONTROLS;
+    const element = this.resolveSelector(selector, root);
+    if (!element) {
+        return false
+    }
+
+    text = text == null ? "" : String(text);
+    const win = element.ownerDocument.defaultView || window;
+    const isInput = element.localName === "input";
+    if (isInput && fc.unfillableTypes.includes(element.type)) {
+        throw this.createStacklessError(`Can not fill an input of type "${element.type}"`);
+    }
+    if (!isInput && element.localName !== "textarea" && !element.isContentEditable) {
+        throw this.createStacklessError('Element is not an input, a textarea or a contenteditable element');
+    }
+    if (this.isElementDisabled(element) || element.readOnly) {
+        throw this.createStacklessError('Element is ' + (element.readOnly ? 'readonly' : 'disabled'));
+    }
+
+    this.focusElement(element);
+
+    if (element.isContentEditable) {
+        // select the whole content, so the inserted text replaces it and the editor sees an ordinary edit
+        const selection = win.getSelection();
+        const range = element.ownerDocument.createRange();
+        range.selectNodeContents(element);
+        selection.removeAllRanges();
+        selection.addRange(range);
+        // the events are dispatched by the editing command, or synthesized only if the command is unavailable
+        if (!this.insertContentText(element, text)) {
+            throw this.createStacklessError('The edit is canceled by the page');
+        }
+        return true
+    }
+
+    if (isInput && element.type === "number" && text !== "" && isNaN(Number(text))) {
+        throw this.createStacklessError(`Cannot fill "${text}" into a number input`);
+    }
+
+    const previous = element.value;
+    this.setNativeValue(element, text);
+    if (isInput && fc.wholeValueTypes.includes(element.type) && text !== "" && element.value === "") {
+        // the browser sanitizes the malformed value to "", keep the previous value instead
+        this.setNativeValue(element, previous);
+        throw this.createStacklessError(`Malformed value "${text}" for an input of type "${element.type}"`);
+    }
+
+    const init = { inputType: "insertText", data: text, bubbles: true, composed: true };
+    element.dispatchEvent(new win.InputEvent("input", init));
+    element.dispatchEvent(new win.Event("change", { bubbles: true }));
+    return true
+};
+
+/**
+ * Clear the value of the element.
+ *
+ * @param selector {String|Number} The unified selector or an element handle
+ * @param root {String|Number|Element} [root] The root to select from, a selector or an element handle
+ * @return {boolean} true if the element is cleared, false if the element is not found
+ * */
+__pulsar_utils__.clear = function(selector, root) {
+    return this.fill(selector, "", root)
+};
+
+/**
+ * Select the options of a select element, by value or by label, all the other options are deselected.
+ *
+ * @param selector {String|Number} The unified selector or an element handle
+ * @param valueOrLabel {String|String[]} The value or the label of the option, an array for a select multiple
+ * @param root {String|Number|Element} [root] The root to select from, a selector or an element handle
+ * @return {String[]|null} The values of the selected options, or null if the element is not found
+ * @throws Error if the element is not a select or an option is not found
+ * */
+__pulsar_utils__.selectOption = function(selector, valueOrLabel, root) {
+    const element = this.resolveSelector(selector, root);
+    if (!element) {
+        return null
+    }
+    if (element.localName !== "select") {
+        throw this.createStacklessError('Element is not a select element');
+    }
+    if (this.isElementDisabled(element)) {
+        throw this.createStacklessError('Element is disabled');
+    }
+
+    const wanted = [].concat(valueOrLabel).map(String);
+    if (wanted.length > 1 && !element.multiple) {
+        throw this.createStacklessError('Can not select multiple options in a single select');
+    }
+
+    const options = Array.from(element.options);
+    const normalize = (text) => text.replace(/\s+/g, " ").trim();
+    const matched = wanted.map(w => {
+        const option = options.find(o => o.value === w)
+            || options.find(o => normalize(o.label || o.textContent) === normalize(w));
+        if (!option) {
+            throw this.createStacklessError(`No option matches "${w}"`);
+        }
+        if (option.disabled) {
+            throw this.createStacklessError(`Option "${w}" is disabled`);
+        }
+        return option
+    });
+
+    this.focusElement(element);
+    const win = element.ownerDocument.defaultView || window;
+    if (element.multiple) {
+        const setSelected = Object.getOwnPropertyDescriptor(win.HTMLOptionElement.prototype, "selected").set;
+        options.forEach(o => setSelected.call(o, matched.includes(o)));
+    } else if (matched.length === 0) {
+        element.selectedIndex = -1;
+    } else {
+        this.setNativeValue(element, matched[0].value);
+    }
+
+    element.dispatchEvent(new win.Event("input", { bubbles: true, composed: true }));
+    element.dispatchEvent(new win.Event("change", { bubbles: true }));
+    return options.filter(o => o.selected).map(o => o.value)
+};
+
+/**
+ * Check or uncheck a checkbox, a radio button or an element with the checkbox or radio role.
+ *
+ * The element is clicked with the full event sequence, so the state changes the way the page expects, including
+ * the input and change events.
+ *
+ * @param selector {String|Number} The unified selector or an element handle
+ * @param checked {boolean} The wanted state
+ * @param root {String|Number|Element} [root] The root to select from, a selector or an element handle
+ * @return {boolean|null} The checked state, or null if the element is not found
+ * @throws Error if the element is not checkable or the click does not change the state
+ * */
+__pulsar_utils__.setChecked = function(selector, checked = true, root) {
+    const element = this.resolveSelector(selector, root);
+    if (!element) {
+        return null
+    }
+
+    const state = this.isElementChecked(element, true);
+    if (state === checked) {
+        return checked
+    }
+    if (!checked && (element.type === "radio" || element.getAttribute("role") === "radio")) {
+        throw this.createStacklessError('Can not uncheck a radio button');
+    }
+    if (this.isElementDisabled(element)) {
+        throw this.createStacklessError('Element is disabled');
+    }
+
+    this.dispatchClick(element);
+    if (this.isElementChecked(element, true) !== checked) {
+        throw this.createStacklessError('Clicking the element did not change its state');
+    }
+    return checked
+};
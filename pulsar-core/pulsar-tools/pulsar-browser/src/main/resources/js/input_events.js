@@ -0,0 +1,366 @@
+"use strict";
+
+/**
+ * Synthesize user input with JavaScript events, used as the fallback when CDP input is unavailable.
+ *
+ * A real click is not a single click event, it's a sequence of pointer, mouse and focus events at a point of the
+ * element, and a real key press is keydown, keypress, beforeinput, input and keyup. Frameworks like React listen to
+ * some of them only, so the whole sequence is dispatched in the order of a real browser.
+ * */
+const __pulsar_INPUT_EVENTS = {
+    /**
+     * The named keys, key -> [code, keyCode]
+     * */
+    keys: {
+        "Enter": ["Enter", 13], "Tab": ["Tab", 9], "Escape": ["Escape", 27], "Backspace": ["Backspace", 8],
+        "Delete": ["Delete", 46], " ": ["Space", 32], "ArrowLeft": ["ArrowLeft", 37], "ArrowUp": ["ArrowUp", 38],
+        "ArrowRight": ["ArrowRight", 39], "ArrowDown": ["ArrowDown", 40], "Home": ["Home", 36], "End": ["End", 35],
+        "PageUp": ["PageUp", 33], "PageDown": ["PageDown", 34], "Shift": ["ShiftLeft", 16],
+        "Control": ["ControlLeft", 17], "Alt": ["AltLeft", 18], "Meta": ["MetaLeft", 91],
+        "-": ["Minus", 189], "=": ["Equal", 187], ",": ["Comma", 188], ".": ["Period", 190], "/": ["Slash", 191],
+        ";": ["Semicolon", 186], "'": ["Quote", 222], "[": ["BracketLeft", 219], "]": ["BracketRight", 221],
+        "\\": ["Backslash", 220], "`": ["Backquote", 192]
+    },
+    /**
+     * The aliases of the key names
+     * */
+    aliases: { "Esc": "Escape", "Space": " ", "Ctrl": "Control", "Cmd": "Meta", "Return": "Enter", "Del": "Delete" },
+    modifiers: { "Shift": "shiftKey", "Control": "ctrlKey", "Alt": "altKey", "Meta": "metaKey" }
+};
+
+/**
+ * Get the center point of the element in the viewport.
+ *
+ * @param element {Element}
+ * @return {Object} {x, y}
+ * */
+__pulsar_utils__.getElementCenter = function(element) {
+    const rect = element.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 }
+};
+
+/**
+ * Dispatch the full event sequence of a mouse click at the center of the element:
+ * pointerover, pointerenter, mouseover, mouseenter, pointermove, mousemove, pointerdown, mousedown, focus,
+ * pointerup, mouseup and click.
+ *
+ * As in a browser, the element is not focused if mousedown is canceled, and mousedown, mouseup and click are not
+ * dispatched if pointerdown is canceled.
+ *
+ * @param element {Element}
+ * @param options {Object} {button: 0, clickCount: 1, x, y: the point in the viewport, the center by default,
+ *                 shiftKey, ctrlKey, altKey, metaKey}
+ * @return {boolean} false if the click event is canceled
+ * */
+__pulsar_utils__.dispatchClick = function(element, options = {}) {
+    const center = this.getElementCenter(element);
+    const x = options.x ?? center.x;
+    const y = options.y ?? center.y;
+    const button = options.button ?? 0;
+    const buttons = [1, 4, 2][button] || 1;
+    const detail = options.clickCount ?? 1;
+    const win = element.ownerDocument.defaultView || window;
+
+    const init = (type, extra = {}) => Object.assign({
+        bubbles: !["pointerenter", "mouseenter"].includes(type),
+        cancelable: !["pointerenter", "mouseenter"].includes(type),
+        composed: true,
+        view: win,
+        clientX: x, clientY: y,
+        screenX: x + (win.screenX || 0), screenY: y + (win.screenY || 0),
+        button: button, buttons: 0, detail: 0,
+        shiftKey: !!options.shiftKey, ctrlKey: !!options.ctrlKey, altKey: !!options.altKey, metaKey: !!options.metaKey
+    }, extra);
+    const PointerEventClass = typeof win.PointerEvent === 'function' ? win.PointerEvent : win.MouseEvent;
+    const pointer = (type, extra) => element.dispatchEvent(new PointerEventClass(type,
+        init(type, Object.assign({ pointerId: 1, pointerType: "mouse", isPrimary: true }, extra))));
+    const mouse = (type, extra) => element.dispatchEvent(new win.MouseEvent(type, init(type, extra)));
+
+    pointer("pointerover");
+    pointer("pointerenter");
+    mouse("mouseover");
+    mouse("mouseenter");
+    pointer("pointermove");
+    mouse("mousemove");
+
+    if (!pointer("pointerdown", { buttons: buttons })) {
+        pointer("pointerup");
+        return false
+    }
+    if (mouse("mousedown", { buttons: buttons, detail: detail })) {
+        this.focusElement(element);
+    }
+    pointer("pointerup");
+    mouse("mouseup", { detail: detail });
+    if (button !== 0) {
+        return button === 2 ? mouse("contextmenu", { buttons: 0 }) : true
+    }
+    return mouse("click", { detail: detail })
+};
+
+/**
+ * Focus the element or its nearest focusable ancestor, the focus events are fired by the browser.
+ *
+ * @param element {Element}
+ * @return {boolean} true if the focus changes
+ * */
+__pulsar_utils__.focusElement = function(element) {
+    const doc = element.ownerDocument;
+    let target = element;
+    while (target && target.nodeType === Node.ELEMENT_NODE && !this.isFocusable(target)) {
+        target = target.parentElement;
+    }
+
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) {
+        // click on a non-focusable area blurs the focused element
+        if (doc.activeElement && doc.activeElement !== doc.body) doc.activeElement.blur();
+        return false
+    }
+    if (doc.activeElement === target) {
+        return false
+    }
+    target.focus({ preventScroll: true });
+    return doc.activeElement === target
+};
+
+/**
+ * Parse a key like "a", "Enter" or "Control+Shift+A" into the key event properties.
+ *
+ * @param key {String}
+ * @return {Object} {key, code, keyCode, text, shiftKey, ctrlKey, altKey, metaKey}, the text is the inserted text,
+ *                  or null if the key inserts nothing
+ * */
+__pulsar_utils__.parseKey = function(key) {
+    const ie = __pulsar_INPUT_EVENTS;
+    let parts = key.length > 1 ? key.split(/\+(?!$)/) : [key];
+    let name = parts.pop();
+    name = ie.aliases[name] || name;
+
+    let result = { shiftKey: false, ctrlKey: false, altKey: false, metaKey: false };
+    parts.forEach(part => {
+        const modifier = ie.modifiers[ie.aliases[part] || part];
+        if (!modifier) {
+            throw this.createStacklessError('Unknown modifier in key: ' + key);
+        }
+        result[modifier] = true;
+    });
+
+    if (ie.keys[name]) {
+        const [code, keyCode] = ie.keys[name];
+        result.code = code;
+        result.keyCode = keyCode;
+    } else if (/^[a-z]$/i.test(name)) {
+        result.code = "Key" + name.toUpperCase();
+        result.keyCode = name.toUpperCase().charCodeAt(0);
+        if (result.shiftKey) name = name.toUpperCase();
+        else if (name !== name.toLowerCase()) result.shiftKey = true;
+    } else if (/^[0-9]$/.test(name)) {
+        result.code = "Digit" + name;
+        result.keyCode = name.charCodeAt(0);
+    } else if (/^F([1-9]|1[0-2])$/.test(name)) {
+        result.code = name;
+        result.keyCode = 111 + Number(name.substring(1));
+    } else if ([...name].length === 1) {
+        // a character without a key on the US keyboard, for example, "é" or "中"
+        result.code = "";
+        result.keyCode = 0;
+    } else {
+        throw this.createStacklessError('Unknown key: ' + key);
+    }
+
+    result.key = name;
+    const printable = [...name].length === 1 && !result.ctrlKey && !result.metaKey && !result.altKey;
+    result.text = name === "Enter" ? "\r" : (printable ? name : null);
+    return result
+};
+
+/**
+ * Dispatch the full event sequence of a key press to the element: keydown, keypress, beforeinput, input and keyup.
+ *
+ * If keydown is not canceled, the text of a printable key is inserted into an editable element at the caret,
+ * Backspace and Delete remove text, and Enter submits the form of an input, just like the default actions of a browser.
+ *
+ * @param element {Element}
+ * @param key {String} The key, for example, "a", "Enter", "ArrowDown" or "Control+A"
+ * @return {boolean} false if keydown is canceled
+ * */
+__pulsar_utils__.dispatchKey = function(element, key) {
+    const k = this.parseKey(key);
+    const win = element.ownerDocument.defaultView || window;
+    const init = (extra = {}) => Object.assign({
+        key: k.key, code: k.code, keyCode: k.keyCode, which: k.keyCode,
+        shiftKey: k.shiftKey, ctrlKey: k.ctrlKey, altKey: k.altKey, metaKey: k.metaKey,
+        bubbles: true, cancelable: true, composed: true, view: win
+    }, extra);
+
+    const proceed = element.dispatchEvent(new win.KeyboardEvent("keydown", init()));
+    if (proceed && k.text != null) {
+        const charCode = k.text.charCodeAt(0);
+        const pressed = element.dispatchEvent(new win.KeyboardEvent("keypress",
+            init({ charCode: charCode, keyCode: charCode, which: charCode })));
+        if (pressed && k.key === "Enter" && element.localName === "input" && element.form) {
+            // implicit submission
+            element.form.requestSubmit ? element.form.requestSubmit() : element.form.submit();
+        } else if (pressed) {
+            this.insertText(element, k.key === "Enter" ? "\n" : k.text);
+        }
+    } else if (proceed && (k.key === "Backspace" || k.key === "Delete") && !k.ctrlKey && !k.metaKey) {
+        this.deleteText(element, k.key === "Backspace" ? "deleteContentBackward" : "deleteContentForward");
+    }
+    element.dispatchEvent(new win.KeyboardEvent("keyup", init()));
+    return proceed
+};
+
+/**
+ * Type the text into the element key by key.
+ *
+ * @param element {Element}
+ * @param text {String}
+ * */
+__pulsar_utils__.typeText = function(element, text) {
+    this.focusElement(element);
+    [...String(text)].forEach(ch => this.dispatchKey(element, ch === "\n" ? "Enter" : ch));
+};
+
+/**
+ * Set the value of a form control by the native setter of its prototype, a framework like React overrides the
+ * value setter of the instance to track the value, an assignment to element.value is ignored by it.
+ *
+ * @param element {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement}
+ * @param value {String}
+ * */
+__pulsar_utils__.setNativeValue = function(element, value) {
+    const win = element.ownerDocument.defaultView || window;
+    const prototype = element instanceof win.HTMLTextAreaElement ? win.HTMLTextAreaElement.prototype
+        : element instanceof win.HTMLSelectElement ? win.HTMLSelectElement.prototype
+        : win.HTMLInputElement.prototype;
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, "value");
+    descriptor.set.call(element, value);
+};
+
+/**
+ * Check if the text of the element can be edited, a text-like input, a textarea or a contenteditable element.
+ *
+ * @param element {Element}
+ * @return {boolean}
+ * */
+__pulsar_utils__.isTextEditable = function(element) {
+    if (element.disabled || element.readOnly) {
+        return false
+    }
+    if (element.localName === "textarea") {
+        return true
+    }
+    if (element.localName === "input") {
+        return ["text", "search", "email", "url", "tel", "password", "number", ""].includes(element.type)
+    }
+    return element.isContentEditable === true
+};
+
+/**
+ * Insert text into an editable element at the caret, beforeinput and input events are dispatched.
+ *
+ * @param element {Element}
+ * @param text {String}
+ * @return {boolean} true if the text is inserted
+ * */
+__pulsar_utils__.insertText = function(element, text) {
+    if (!this.isTextEditable(element) || (text === "\n" && element.localName === "input")) {
+        return false
+    }
+
+    const inputType = text === "\n" ? "insertLineBreak" : "insertText";
+    if (element.isContentEditable) {
+        return this.insertContentText(element, text, inputType)
+    }
+
+    const win = element.ownerDocument.defaultView || window;
+    const eventInit = { inputType: inputType, data: text === "\n" ? null : text, bubbles: true, composed: true };
+    if (!element.dispatchEvent(new win.InputEvent("beforeinput", Object.assign({ cancelable: true }, eventInit)))) {
+        return false
+    }
+
+    const value = element.value;
+    // number inputs have no selection
+    const start = element.selectionStart ?? value.length;
+    const end = element.selectionEnd ?? value.length;
+    this.setNativeValue(element, value.substring(0, start) + text + value.substring(end));
+    if (element.selectionStart != null) element.setSelectionRange(start + text.length, start + text.length);
+    element.dispatchEvent(new win.InputEvent("input", eventInit));
+    return true
+};
+
+/**
+ * Insert text into a contenteditable element, replacing the selection in it.
+ *
+ * The text is inserted by the editing command, which dispatches beforeinput and input by itself, so the editor sees
+ * an ordinary edit. The events are synthesized only if the command is unavailable or fails.
+ *
+ * @param element {Element} The contenteditable element
+ * @param text {String} The text to insert, an empty text deletes the selection
+ * @param inputType {String} [inputType] The input type of the synthesized events, derived from the text by default
+ * @return {boolean} true if the text is inserted
+ * */
+__pulsar_utils__.insertContentText = function(element, text, inputType) {
+    const doc = element.ownerDocument;
+    const win = doc.defaultView || window;
+    if (doc.execCommand && doc.execCommand(text.length > 0 ? "insertText" : "delete", false, text)) {
+        return true
+    }
+
+    inputType = inputType || (text.length > 0 ? "insertText" : "deleteContentBackward");
+    const data = inputType === "insertText" ? text : null;
+    const eventInit = { inputType: inputType, data: data, bubbles: true, composed: true };
+    if (!element.dispatchEvent(new win.InputEvent("beforeinput", Object.assign({ cancelable: true }, eventInit)))) {
+        return false
+    }
+
+    const selection = win.getSelection();
+    const range = selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    if (range && element.contains(range.commonAncestorContainer)) {
+        range.deleteContents();
+        if (text.length > 0) {
+            range.insertNode(doc.createTextNode(text));
+            range.collapse(false);
+        }
+    } else {
+        element.append(text);
+    }
+    element.dispatchEvent(new win.InputEvent("input", eventInit));
+    return true
+};
+
+/**
+ * Delete the selected text, or the character before or after the caret.
+ *
+ * @param element {Element}
+ * @param inputType {String} "deleteContentBackward" or "deleteContentForward"
+ * @return {boolean} true if the text is changed
+ * */
+__pulsar_utils__.deleteText = function(element, inputType) {
+    if (!this.isTextEditable(element) || element.isContentEditable) {
+        // the caret of contenteditable is not tracked, leave it to the page
+        return false
+    }
+
+    const win = element.ownerDocument.defaultView || window;
+    const value = element.value;
+    let start = element.selectionStart ?? value.length;
+    let end = element.selectionEnd ?? value.length;
+    if (start === end) {
+        if (inputType === "deleteContentBackward") start = Math.max(0, start - 1);
+        else end = Math.min(value.length, end + 1);
+    }
+    if (start === end) {
+        return false
+    }
+
+    const eventInit = { inputType: inputType, bubbles: true, composed: true };
+    if (!element.dispatchEvent(new win.InputEvent("beforeinput", Object.assign({ cancelable: true }, eventInit)))) {
+        return false
+    }
+    this.setNativeValue(element, value.substring(0, start) + value.substring(end));
+    if (element.selectionStart != null) element.setSelectionRange(start, start);
+    element.dispatchEvent(new win.InputEvent("input", eventInit));
+    return true
+};
@@ -0,0 +1,444 @@
+"use strict";
+
+/**
+ * The interactive elements of the page, discovered by the accessibility semantics instead of a fixed list of selectors.
+ *
+ * An element is interactive if any of the following holds:
+ * - it has an interactive role, e.g. button, link, textbox, checkbox, menuitem, tab
+ * - it's focusable, e.g. a native control, contenteditable or tabindex
+ * - it has a click like event listener, tracked if the tracker is installed, or an inline handler like onclick
+ * - it shows a pointer cursor which is not inherited from its parent
+ *
+ * Every element is assigned a numeric index which is stable during the lifetime of the document, so an element
+ * keeps its index between extractions. The index is the element handle, see element_handles.js.
+ * */
+const __pulsar_INTERACTIVE_ELEMENTS = {
+    /**
+     * The roles of widgets which are operated by the user
+     * */
+    interactiveRoles: ["button", "checkbox", "combobox", "gridcell", "link", "listbox", "menuitem", "menuitemcheckbox",
+        "menuitemradio", "option", "radio", "scrollbar", "searchbox", "slider", "spinbutton", "switch", "tab",
+        "textbox", "treeitem"],
+    /**
+     * The events which make an element interactive if it listens to them
+     * */
+    listenerTypes: ["click", "dblclick", "mousedown", "mouseup", "pointerdown", "pointerup", "touchstart", "keydown"],
+    /**
+     * The elements with click like event listeners
+     * */
+    listenerTargets: new WeakSet(),
+    /**
+     * The elements of the last snapshot, index -> element descriptor, see snapshotInteractive()
+     * */
+    lastSnapshot: null,
+    listenerTrackerInstalled: false
+};
+
+/**
+ * Track the elements with click like event listeners, it's safe to call multiple times.
+ *
+ * The tracker wraps EventTarget.prototype.addEventListener, so it's not installed unless requested: it's installed by
+ * the preload script if the init parameter TRACK_LISTENERS is true, or by calling this function, in which case the
+ * listeners added before are not tracked.
+ * */
+__pulsar_utils__.installListenerTracker = function() {
+    const state = __pulsar_INTERACTIVE_ELEMENTS;
+    if (state.listenerTrackerInstalled || typeof EventTarget === 'undefined') {
+        return
+    }
+    state.listenerTrackerInstalled = true;
+
+    // A Proxy keeps the name, length and the native toString of the wrapped function
+    const proto = EventTarget.prototype;
+    proto.addEventListener = new Proxy(proto.addEventListener, {
+        apply(target, thisArg, args) {
+            if (thisArg && thisArg.nodeType === Node.ELEMENT_NODE && state.listenerTypes.includes(args[0])) {
+                state.listenerTargets.add(thisArg);
+            }
+            return Reflect.apply(target, thisArg, args)
+        }
+    });
+};
+
+/**
+ * Get the stable index of the element, which is the handle of the element, see getElementHandle().
+ *
+ * @param element {Element}
+ * @return {Number}
+ * */
+__pulsar_utils__.getStableIndex = function(element) {
+    return this.getElementHandle(element)
+};
+
+/**
+ * Check if the element has a click like event listener, an inline handler or an event handler property.
+ *
+ * @param element {Element}
+ * @return {boolean}
+ * */
+__pulsar_utils__.hasClickListener = function(element) {
+    if (__pulsar_INTERACTIVE_ELEMENTS.listenerTargets.has(element)) {
+        return true
+    }
+
+    return typeof element.onclick === 'function' || typeof element.onmousedown === 'function'
+        || element.hasAttribute("onclick") || element.hasAttribute("onmousedown")
+        || element.hasAttribute("ng-click") || element.hasAttribute("@click") || element.hasAttribute("v-on:click")
+};
+
+/**
+ * Check if the element shows a pointer cursor by itself, rather than inheriting it from the parent.
+ *
+ * @param element {Element}
+ * @return {boolean}
+ * */
+__pulsar_utils__.hasOwnPointerCursor = function(element) {
+    const view = element.ownerDocument.defaultView;
+    if (!view || view.getComputedStyle(element).cursor !== "pointer") {
+        return false
+    }
+
+    let parent = element.parentElement;
+    return !parent || view.getComputedStyle(parent).cursor !== "pointer"
+};
+
+/**
+ * Get the interaction states of the element, a state is null if it does not apply to the element.
+ *
+ * @param element {Element}
+ * @param role {String|null}
+ * @return {Object} {disabled, checked, expanded, selected}
+ * */
+__pulsar_utils__.getInteractiveStates = function(element, role) {
+    const aria = (name) => {
+        let value = element.getAttribute(name);
+        return value === "true" ? true : (value === "false" ? false : (value === "mixed" ? "mixed" : null))
+    };
+
+    let checked = null;
+    if (element.localName === "input" && ["checkbox", "radio"].includes(element.type)) {
+        checked = element.indeterminate ? "mixed" : element.checked;
+    } else if (["checkbox", "radio", "switch", "menuitemcheckbox", "menuitemradio"].includes(role)) {
+        checked = aria("aria-checked") ?? false;
+    } else if (element.hasAttribute("aria-pressed")) {
+        checked = aria("aria-pressed");
+    }
+
+    let selected = null;
+    if (element.localName === "option") {
+        selected = element.selected;
+    } else if (element.hasAttribute("aria-selected")) {
+        selected = aria("aria-selected");
+    }
+
+    let expanded = aria("aria-expanded");
+    if (expanded == null && element.localName === "details") {
+        expanded = element.open;
+    } else if (expanded == null && element.localName === "summary" && element.parentElement
+        && element.parentElement.localName === "details") {
+        // the summary toggles its details element
+        expanded = element.parentElement.open;
+    }
+
+    return {
+        disabled: this.isElementDisabled(element),
+        checked: checked,
+        expanded: expanded,
+        selected: selected
+    }
+};
+
+/**
+ * Check if the element is interactive, and tell why.
+ *
+ * @param element {Element}
+ * @param role {String|null} The role of the element
+ * @return {String|null} The reason: role, focusable, listener or cursor, or null if the element is not interactive
+ * */
+__pulsar_utils__.getInteractiveReason = function(element, role) {
+    if (__pulsar_INTERACTIVE_ELEMENTS.interactiveRoles.includes(role)) {
+        return "role"
+    }
+
+    if (this.isFocusable(element) && element.tabIndex >= 0 && !["iframe", "body"].includes(element.localName)) {
+        return "focusable"
+    }
+
+    if (this.hasClickListener(element)) {
+        return "listener"
+    }
+
+    if (this.hasOwnPointerCursor(element)) {
+        return "cursor"
+    }
+
+    return null
+};
+
+/**
+ * Extract the interactive elements of the page.
+ *
+ * @param options {Object} {root: a selector, an element handle or an element, document.body by default,
+ *                 includeHidden: false, maxTextLength: 100,
+ *                 shadow: traverse open shadow roots, see getTraverseOptions()}
+ * @return {Object[]} The interactive elements in document order
+ * */
+__pulsar_utils__.extractInteractiveElements = function(options = {}) {
+    const maxTextLength = options.maxTextLength ?? 100;
+    return this.collectInteractiveElements(options)
+        .map(({element, role, reason}) => this.describeInteractiveElement(element, role, reason, maxTextLength))
+};
+
+/**
+ * Collect the interactive elements of the page, see extractInteractiveElements() for the options.
+ *
+ * @param options {Object}
+ * @return {Object[]} The interactive elements in document order, every item is {element, role, reason}
+ * */
+__pulsar_utils__.collectInteractiveElements = function(options = {}) {
+    let root = this.resolveRoot(options.root, document.body);
+    if (!root) {
+        return []
+    }
+
+    const shadow = this.getTraverseOptions(options).shadow;
+    let results = [];
+
+    const visit = (element) => {
+        let role = this.getRole(element);
+        let reason = this.getInteractiveReason(element, role);
+        if (reason && (options.includeHidden || this.isElementVisible(element))) {
+            results.push({ element: element, role: role, reason: reason });
+        }
+
+        if (shadow && element.shadowRoot) {
+            Array.from(element.shadowRoot.children).forEach(visit);
+        }
+        Array.from(element.children).forEach(visit);
+    };
+
+    if (root.nodeType === Node.ELEMENT_NODE) {
+        visit(root);
+    } else {
+        Array.from(root.children).forEach(visit);
+    }
+
+    return results
+};
+
+/**
+ * Describe an interactive element.
+ *
+ * The bounds are in document coordinates, so they do not change when the page scrolls.
+ *
+ * @param element {Element}
+ * @param role {String|null}
+ * @param reason {String} Why the element is interactive, see getInteractiveReason()
+ * @param maxTextLength {Number}
+ * @return {Object}
+ * */
+__pulsar_utils__.describeInteractiveElement = function(element, role, reason, maxTextLength = 100) {
+    let rect = element.getBoundingClientRect();
+    let text = this.getTextContent(element);
+    let occlusion = this.getElementOcclusion(element);
+
+    return {
+        index: this.getStableIndex(element),
+        tagName: element.localName,
+        role: role,
+        name: this.getAccessibleName(element).substring(0, maxTextLength),
+        reason: reason,
+        selector: this.buildSelector(element),
+        text: text.substring(0, maxTextLength),
+        type: element.getAttribute("type"),
+        href: element.localName === "a" && element.href ? element.href : null,
+        value: "value" in element && typeof element.value === 'string' ? element.value : null,
+        placeholder: element.getAttribute("placeholder"),
+        states: this.getInteractiveStates(element, role),
+        visibleFraction: occlusion.visibleFraction,
+        occludedBy: occlusion.occludedBy,
+        bounds: {
+            x: Math.round(rect.x + window.scrollX),
+            y: Math.round(rect.y + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+        }
+    }
+};
+
+/**
+ * Take a snapshot of the interactive elements in a window of the page, small enough to fit in the context of an LLM.
+ *
+ * The window is one of the following:
+ * - the current viewport expanded by options.margin pixels, if options.viewport is true
+ * - the screen options.screen, 1-based, the screen of an element is given by Node.prototype.__pulsar_nScreen()
+ * - the whole page, otherwise
+ *
+ * If there are more than options.limit elements in the window, the most important ones are kept in document order.
+ *
+ * Every snapshot is kept by the page, if options.diff is true, the changes since the previous snapshot are returned
+ * too, see diffInteractiveSnapshots(). Take successive snapshots with the same window to get a meaningful diff.
+ *
+ * The summary counts every element once, so above + below + beside + inWindow is total, beside counts the elements
+ * left or right of the viewport window.
+ *
+ * @param options {Object} {viewport: false, margin: 0, screen: null, limit: null, diff: false, and the options of
+ *                 extractInteractiveElements()}
+ * @return {Object} {elements, window: {viewport, margin, screen, limit}, summary: {total, above, below, beside,
+ *                  inWindow, truncated}, diff: only if options.diff is true}
+ * */
+__pulsar_utils__.snapshotInteractive = function(options = {}) {
+    const maxTextLength = options.maxTextLength ?? 100;
+    const margin = options.margin ?? 0;
+    const screen = options.screen ?? null;
+    const limit = options.limit ?? null;
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+    const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+
+    // -1: above the window, 0: in the window, 1: below the window, 2: beside the window
+    const locate = (element) => {
+        if (options.viewport) {
+            const r = element.getBoundingClientRect();
+            if (r.bottom < -margin) return -1;
+            if (r.top > viewportHeight + margin) return 1;
+            if (r.right < -margin || r.left > viewportWidth + margin) return 2;
+            return 0
+        }
+        if (screen != null) {
+            const n = Math.max(1, element.__pulsar_nScreen());
+            return n < screen ? -1 : (n > screen ? 1 : 0)
+        }
+        return 0
+    };
+
+    let collected = this.collectInteractiveElements(options);
+    let summary = { total: collected.length, above: 0, below: 0, beside: 0, inWindow: 0, truncated: 0 };
+    let inWindow = [];
+    collected.forEach((item, i) => {
+        const position = locate(item.element);
+        if (position === -1) ++summary.above;
+        else if (position === 1) ++summary.below;
+        else if (position === 2) ++summary.beside;
+        else if (position === 0) inWindow.push(Object.assign({ order: i }, item));
+    });
+    summary.inWindow = inWindow.length;
+
+    if (limit != null && inWindow.length > limit) {
+        inWindow = inWindow
+            .map(item => Object.assign({ importance: this.getInteractiveImportance(item.element, item.role) }, item))
+            .sort((a, b) => b.importance - a.importance || a.order - b.order)
+            .slice(0, limit)
+            .sort((a, b) => a.order - b.order);
+        summary.truncated = summary.inWindow - limit;
+    }
+
+    let elements = inWindow.map(({element, role, reason}) => this.describeInteractiveElement(element, role, reason, maxTextLength));
+    let snapshot = {
+        elements: elements,
+        window: { viewport: !!options.viewport, margin: margin, screen: screen, limit: limit },
+        summary: summary
+    };
+
+    const state = __pulsar_INTERACTIVE_ELEMENTS;
+    let current = new Map(elements.map(e => [e.index, e]));
+    if (options.diff) {
+        snapshot.diff = this.diffInteractiveSnapshots(state.lastSnapshot, current);
+    }
+    state.lastSnapshot = current;
+
+    return snapshot
+};
+
+/**
+ * Diff two snapshots of interactive elements keyed by the stable indexes.
+ *
+ * - added: the descriptors of the new elements
+ * - removed: the brief descriptors of the elements which are gone, or are out of the window
+ * - changed: the changed name, text, value and states, every item is {index, changes: {field: {from, to}}}
+ * - moved: the elements whose position in the document changed, every item is {index, from: {x, y}, to: {x, y}}
+ * - addedByRole: the number of the added elements by role, e.g. {option: 8}
+ *
+ * @param previous {Map|null} The previous snapshot, index -> descriptor, null if there is no previous snapshot
+ * @param current {Map} The current snapshot, index -> descriptor
+ * @return {Object} {initial, added, removed, changed, moved, addedByRole}
+ * */
+__pulsar_utils__.diffInteractiveSnapshots = function(previous, current) {
+    let diff = { initial: previous == null, added: [], removed: [], changed: [], moved: [], addedByRole: {} };
+    previous = previous || new Map();
+
+    current.forEach((e, index) => {
+        let old = previous.get(index);
+        if (!old) {
+            diff.added.push(e);
+            let role = e.role || e.tagName;
+            diff.addedByRole[role] = (diff.addedByRole[role] || 0) + 1;
+            return;
+        }
+
+        let changes = {};
+        ["name", "text", "value"].forEach(field => {
+            if (old[field] !== e[field]) {
+                changes[field] = { from: old[field], to: e[field] };
+            }
+        });
+        Object.keys(e.states).forEach(field => {
+            if (old.states[field] !== e.states[field]) {
+                changes[field] = { from: old.states[field], to: e.states[field] };
+            }
+        });
+        if (Object.keys(changes).length > 0) {
+            diff.changed.push({ index: index, selector: e.selector, changes: changes });
+        }
+
+        if (Math.abs(old.bounds.x - e.bounds.x) > 1 || Math.abs(old.bounds.y - e.bounds.y) > 1) {
+            diff.moved.push({
+                index: index,
+                from: { x: old.bounds.x, y: old.bounds.y },
+                to: { x: e.bounds.x, y: e.bounds.y }
+            });
+        }
+    });
+
+    previous.forEach((e, index) => {
+        if (!current.has(index)) {
+            diff.removed.push({ index: index, role: e.role, name: e.name, selector: e.selector });
+        }
+    });
+
+    return diff
+};
+
+/**
+ * Score the importance of an interactive element, the higher the more important.
+ *
+ * Form controls rank above buttons, buttons above links, named and enabled elements above the others, and larger
+ * elements slightly above smaller ones.
+ *
+ * @param element {Element}
+ * @param role {String|null}
+ * @return {Number}
+ * */
+__pulsar_utils__.getInteractiveImportance = function(element, role) {
+    const roleScores = {
+        textbox: 6, searchbox: 6, combobox: 6, listbox: 5, spinbutton: 5, slider: 4,
+        button: 5, checkbox: 4, radio: 4, switch: 4, tab: 4, menuitem: 3, link: 3
+    };
+
+    let score = roleScores[role] ?? 2;
+    if (this.isElementDisabled(element)) {
+        score -= 3;
+    }
+    if (element.hasAttribute("aria-label") || this.getTextContent(element).length > 0
+        || element.hasAttribute("placeholder") || element.hasAttribute("title")) {
+        score += 1;
+    }
+
+    const rect = element.getBoundingClientRect();
+    score += Math.min(1, Math.log10(1 + rect.width * rect.height) / 5);
+    return score
+};
+
+// init parameters generated by Kotlin code are strings
+if (String(__pulsar_utils__.getConfig().TRACK_LISTENERS) === "true") {
+    __pulsar_utils__.installListenerTracker();
+}
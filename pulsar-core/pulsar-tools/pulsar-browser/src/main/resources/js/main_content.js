@@ -0,0 +1,275 @@
+"use strict";
+
+/**
+ * Find the main content of the page, for example, the article of a news page or the detail block of a product page.
+ *
+ * The candidate blocks are scored by the geometry written by __pulsar_NodeFeatureCalculator: the vi rect of every
+ * element and the _cw character width of the text containers, if compute() is not called, the geometry is measured
+ * directly.
+ *
+ * The blocks marked hidden by __pulsar_NodeFeatureCalculator are skipped, if the marks are absent, the computed style
+ * is checked instead, just like __pulsar_utils__.toMarkdown() does.
+ * */
+const __pulsar_MAIN_CONTENT = {
+    candidateTags: ["article", "main", "section", "div", "td", "dd", "li"],
+    /**
+     * The boilerplate blocks, which are stripped from the main content
+     * */
+    boilerplateSelector: "nav, footer, header, aside, form[role=search], [role=navigation], [role=banner], " +
+        "[role=contentinfo], [role=complementary], [aria-hidden=true], script, style, noscript, template, iframe",
+    /**
+     * The boilerplate blocks by id or class name
+     * */
+    boilerplatePattern: /(^|[-_\s])(ads?|advert\w*|banner|breadcrumbs?|cookies?|comments?|footer|menu|nav\w*|popup|promo\w*|related|share|sidebar|social|sponsor\w*|subscribe)($|[-_\s])/i,
+    /**
+     * The blocks by id or class name which are likely the main content
+     * */
+    contentPattern: /(^|[-_\s])(article|body|content|detail|entry|main|post|product|story|text)($|[-_\s])/i,
+    defaultCharWidth: 8
+};
+
+/**
+ * Check if the element is a boilerplate block like nav, footer or ads.
+ *
+ * @param element {Element}
+ * @return {boolean}
+ * */
+__pulsar_utils__.isBoilerplate = function(element) {
+    const mc = __pulsar_MAIN_CONTENT;
+    if (element.matches(mc.boilerplateSelector)) {
+        return true
+    }
+
+    // the body and the root containers are never boilerplate even if the site names them like "page-nav-layout"
+    if (element.localName === "body" || element.localName === "main") {
+        return false
+    }
+
+    const className = typeof element.className === 'string' ? element.className : "";
+    return mc.boilerplatePattern.test(element.id) || mc.boilerplatePattern.test(className)
+};
+
+/**
+ * Check if the element is hidden, by the hidden marks of the feature calculator, or by the computed style if the
+ * element is not computed.
+ *
+ * @param element {Element}
+ * @return {boolean}
+ * */
+__pulsar_utils__.isHiddenBlock = function(element) {
+    const config = this.getConfig();
+    if (element.hasAttribute(config.ATTR_HIDDEN) || element.hasAttribute("_ps_" + config.ATTR_HIDDEN)) {
+        return true
+    }
+    if (element.hasAttribute(config.ATTR_ELEMENT_NODE_VI)) {
+        return false
+    }
+
+    const style = window.getComputedStyle(element);
+    return style.display === "none" || style.visibility === "hidden"
+};
+
+/**
+ * Get the rect of the element from the vi attribute written by the feature calculator, or measure it if absent.
+ *
+ * @param element {Element}
+ * @return {Object|null} {x, y, width, height} relative to the body
+ * */
+__pulsar_utils__.getViRect = function(element) {
+    const vi = element.getAttribute(this.getConfig().ATTR_ELEMENT_NODE_VI);
+    if (vi) {
+        const [x, y, width, height] = vi.split(" ").map(Number);
+        return { x: x, y: y, width: width, height: height }
+    }
+
+    const rect = this.getElementClientRect(element);
+    return rect ? { x: rect.x, y: rect.y, width: rect.width, height: rect.height } : null
+};
+
+/**
+ * Find the main content of the page.
+ *
+ * @param options {Object} {root: a selector, an element handle or an element, document.body by default,
+ *                 minTextLength: 200}
+ * @return {Object|null} {selector, handle, text, score, rect}, or null if no block has enough text, the block is
+ *                      located by the selector or the element handle, so the result can be returned by value
+ * */
+__pulsar_utils__.findMainContent = function(options = {}) {
+    const mc = __pulsar_MAIN_CONTENT;
+    const root = this.resolveRoot(options.root, document.body);
+    const minTextLength = options.minTextLength ?? 200;
+    if (!root) {
+        return null
+    }
+
+    const config = this.getConfig();
+    const pageWidth = Math.max(document.documentElement.scrollWidth, config.viewPortWidth || 0, 1);
+    const screenHeight = config.viewPortHeight || window.innerHeight || 1080;
+
+    // Walk the tree once and sum up the text and the link text of every element, boilerplate is not counted, the
+    // walk is iterative so a deep tree does not overflow the stack
+    let stats = new Map();
+    let skipped = null;
+    let visitor = {};
+    visitor.head = (node, depth) => {
+        if (skipped) {
+            return;
+        }
+
+        if (node.nodeType === Node.TEXT_NODE) {
+            const element = node.parentNode;
+            const stat = stats.get(element);
+            const length = node.textContent.replace(/\s+/g, " ").trim().length;
+            if (!stat || length === 0) {
+                return;
+            }
+            stat.text += length;
+            if (element.localName === "a") stat.link += length;
+            const cw = Number(element.getAttribute("_cw"));
+            if (cw > 0) {
+                stat.charWidth += cw * length;
+                stat.charWidthWeight += length;
+            }
+        } else if (node.nodeType === Node.ELEMENT_NODE) {
+            if (node !== root && (this.isBoilerplate(node) || this.isHiddenBlock(node))) {
+                skipped = node;
+                return;
+            }
+            stats.set(node, { text: 0, link: 0, paragraphs: 0, charWidth: 0, charWidthWeight: 0 });
+        }
+    };
+    visitor.tail = (node, depth) => {
+        if (skipped) {
+            if (skipped === node) skipped = null;
+            return;
+        }
+
+        const parent = node === root ? null : stats.get(node.parentNode);
+        const s = node.nodeType === Node.ELEMENT_NODE ? stats.get(node) : null;
+        if (!parent || !s) {
+            return;
+        }
+        parent.text += s.text;
+        parent.link += node.localName === "a" ? s.text : s.link;
+        parent.paragraphs += s.paragraphs + (node.localName === "p" ? 1 : 0);
+        parent.charWidth += s.charWidth;
+        parent.charWidthWeight += s.charWidthWeight;
+    };
+    new __pulsar_NodeTraversor(visitor).traverse(root);
+
+    let best = null;
+    stats.forEach((stat, element) => {
+        if (stat.text < minTextLength || !(mc.candidateTags.includes(element.localName) || element === root
+            || element.getAttribute("role") === "main")) {
+            return;
+        }
+
+        const score = this.scoreContentBlock(element, stat, pageWidth, screenHeight);
+        if (!best || score > best.score) {
+            best = { node: element, stat: stat, score: score };
+        }
+    });
+
+    if (!best) {
+        return null
+    }
+
+    return {
+        selector: this.buildSelector ? this.buildSelector(best.node) : null,
+        handle: this.getElementHandle(best.node),
+        text: this.getMainContentText(best.node),
+        score: Math.round(best.score * 1000) / 1000,
+        rect: this.getViRect(best.node)
+    }
+};
+
+/**
+ * Score a candidate block of the main content.
+ *
+ * - text: the more text, the better, in log scale
+ * - link density: a block of links is navigation rather than content
+ * - text density: the text fills the block, estimated by the character width
+ * - position: the block is horizontally centered and starts in the first screens
+ * - size: the block is neither a tiny box nor the whole page
+ *
+ * @param element {Element}
+ * @param stat {Object} {text, link, paragraphs, charWidth, charWidthWeight}
+ * @param pageWidth {Number}
+ * @param screenHeight {Number}
+ * @return {Number}
+ * */
+__pulsar_utils__.scoreContentBlock = function(element, stat, pageWidth, screenHeight) {
+    const mc = __pulsar_MAIN_CONTENT;
+    const linkDensity = stat.link / Math.max(1, stat.text);
+    let score = Math.log(1 + stat.text) * Math.pow(1 - linkDensity, 2) * (1 + Math.min(stat.paragraphs, 10) / 10);
+
+    const rect = this.getViRect(element);
+    if (rect && rect.width > 0 && rect.height > 0) {
+        // assume a line height of about twice the character width
+        const cw = stat.charWidthWeight > 0 ? stat.charWidth / stat.charWidthWeight : mc.defaultCharWidth;
+        const fill = Math.min(1, stat.text * cw * cw * 2 / (rect.width * rect.height));
+        score *= 0.5 + fill;
+
+        const centerOffset = Math.abs(rect.x + rect.width / 2 - pageWidth / 2) / pageWidth;
+        score *= 1 - Math.min(0.5, centerOffset);
+        score *= rect.y > 3 * screenHeight ? 0.7 : 1;
+
+        const widthRatio = rect.width / pageWidth;
+        score *= widthRatio < 0.2 ? 0.6 : 1;
+    }
+
+    const className = typeof element.className === 'string' ? element.className : "";
+    if (["article", "main"].includes(element.localName) || element.getAttribute("role") === "main"
+        || element.hasAttribute("itemprop")
+        || mc.contentPattern.test(element.id) || mc.contentPattern.test(className)) {
+        score *= 1.25;
+    }
+
+    return score
+};
+
+/**
+ * Get the clean text of the main content, boilerplate and hidden blocks are stripped and blocks are put on separate
+ * lines.
+ *
+ * @param element {Element}
+ * @return {String}
+ * */
+__pulsar_utils__.getMainContentText = function(element) {
+    const inlineTags = ["a", "abbr", "b", "bdi", "bdo", "cite", "code", "data", "em", "i", "kbd", "label", "mark", "q",
+        "s", "samp", "small", "span", "strong", "sub", "sup", "time", "u", "var"];
+
+    let parts = [];
+    let skipped = null;
+    let visitor = {};
+    visitor.head = (node, depth) => {
+        if (skipped || node === element) {
+            return;
+        }
+
+        if (node.nodeType === Node.TEXT_NODE) {
+            parts.push(node.textContent.replace(/\s+/g, " "));
+        } else if (node.nodeType !== Node.ELEMENT_NODE || this.isBoilerplate(node) || this.isHiddenBlock(node)) {
+            skipped = node;
+        } else if (!inlineTags.includes(node.localName)) {
+            // a block, or a line break, starts a new line
+            parts.push("\n");
+        }
+    };
+    visitor.tail = (node, depth) => {
+        if (skipped) {
+            if (skipped === node) skipped = null;
+            return;
+        }
+        if (node !== element && node.nodeType === Node.ELEMENT_NODE && !inlineTags.includes(node.localName)) {
+            parts.push("\n");
+        }
+    };
+    new __pulsar_NodeTraversor(visitor).traverse(element);
+
+    return parts.join("")
+        .split("\n")
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .join("\n")
+};
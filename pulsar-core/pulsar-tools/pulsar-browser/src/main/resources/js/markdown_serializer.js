@@ -0,0 +1,261 @@
+"use strict";
+
+/**
+ * The markdown serializer converts the DOM into a compact, LLM-friendly markdown document.
+ *
+ * Headings, paragraphs, lists, tables, links, images, quotes and code are converted to their markdown forms, and form
+ * fields are written as `[role "label": value]`, so the document keeps the structure of the page but drops the markup.
+ *
+ * The elements marked hidden by __pulsar_NodeFeatureCalculator are skipped, if the marks are absent, for example,
+ * compute() is not called, the computed style is checked instead.
+ * */
+const __pulsar_MARKDOWN = {
+    blockTags: ["address", "article", "aside", "blockquote", "body", "dd", "details", "dialog", "div", "dl", "dt",
+        "fieldset", "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr",
+        "li", "main", "nav", "ol", "p", "pre", "section", "summary", "table", "ul"],
+    skippedTags: ["script", "style", "noscript", "template", "svg", "canvas", "head", "meta", "link", "iframe", "object"],
+    /**
+     * The average number of characters per token, used to estimate the token count
+     * */
+    charsPerToken: 4
+};
+
+/**
+ * Serialize the page, or a part of the page, to markdown.
+ *
+ * The text is escaped, so the markdown characters in the page, like `*`, `_`, `[` and a leading `#`, are kept as text.
+ *
+ * @param options {Object} {root: a selector, an element handle or an element, document.body by default,
+ *                 viewportOnly: false, margin: 0 pixels around the viewport, maxTokens: null for no limit,
+ *                 images: true, links: true}
+ * @return {String} The markdown, a trailing comment tells if it's truncated by maxTokens, the comment included, the
+ *                  markdown is not longer than maxTokens * __pulsar_MARKDOWN.charsPerToken characters
+ * */
+__pulsar_utils__.toMarkdown = function(options = {}) {
+    const md = __pulsar_MARKDOWN;
+    const config = this.getConfig();
+    const hiddenAttributes = [config.ATTR_HIDDEN, "_ps_" + config.ATTR_HIDDEN];
+    const root = this.resolveRoot(options.root, document.body);
+    const margin = options.margin ?? 0;
+    const marker = `<!-- truncated at about ${options.maxTokens} tokens -->`;
+    // the room of the truncation marker is reserved
+    const maxChars = options.maxTokens ? options.maxTokens * md.charsPerToken - marker.length - 2 : Infinity;
+    const withImages = options.images ?? true;
+    const withLinks = options.links ?? true;
+    const vh = window.innerHeight || document.documentElement.clientHeight;
+    const vw = window.innerWidth || document.documentElement.clientWidth;
+
+    let blocks = [];
+    let length = 0;
+    let truncated = false;
+
+    const isSkipped = (element) => {
+        if (md.skippedTags.includes(element.localName) || element.hasAttribute("data-pulsar-overlay")) {
+            return true
+        }
+        if (hiddenAttributes.some(name => element.hasAttribute(name))) {
+            return true
+        }
+        if (!element.hasAttribute(config.ATTR_ELEMENT_NODE_VI)) {
+            // the page is not computed, check the style
+            const style = window.getComputedStyle(element);
+            if (style.display === "none" || style.visibility === "hidden") return true;
+        }
+        if (options.viewportOnly) {
+            const r = element.getBoundingClientRect();
+            if (r.width > 0 || r.height > 0) {
+                return r.bottom < -margin || r.top > vh + margin || r.right < -margin || r.left > vw + margin
+            }
+        }
+        return false
+    };
+
+    const clean = (text) => text.replace(/\s+/g, " ");
+    const escapeText = (text) => text.replace(/[\\`*_\[\]]/g, "\\$&");
+    // a text line can not start with a block marker, like the ones of a heading, a quote, a list item or a rule
+    const escapeLine = (line) => line
+        .replace(/^(#|>|[-+](?=\s|$)|-(?=-)|=(?==*$))/, "\\$1")
+        .replace(/^(\d+)([.)])(?=\s|$)/, "$1\\$2");
+    const escapeCell = (text) => text.replace(/\|/g, "\\|").trim();
+
+    const emit = (block) => {
+        block = block.replace(/[ \t]+$/gm, "");
+        if (block.trim().length === 0 || truncated) {
+            return
+        }
+        if (length + block.length > maxChars) {
+            truncated = true;
+            return
+        }
+        blocks.push(block);
+        length += block.length + 2;
+    };
+
+    const field = (element) => {
+        const role = this.getRole(element) || element.localName;
+        const name = this.getAccessibleName(element);
+        let value = null;
+        if (element.localName === "select") {
+            value = Array.from(element.selectedOptions).map(o => clean(o.textContent).trim()).join(", ");
+        } else if (element.localName === "input" && ["checkbox", "radio"].includes(element.type)) {
+            value = element.checked ? "checked" : "unchecked";
+        } else if (element.localName === "input" && ["submit", "button", "reset", "image"].includes(element.type)) {
+            value = null;
+        } else if ("value" in element && element.localName !== "button") {
+            value = element.type === "password" && element.value ? "******" : element.value;
+        }
+        let label = name ? ` "${name}"` : "";
+        return value == null ? `[${role}${label}]` : `[${role}${label}: ${value}]`
+    };
+
+    const inline = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return escapeText(clean(node.textContent))
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || isSkipped(node)) {
+            return ""
+        }
+
+        const element = node;
+        const content = () => Array.from(element.childNodes).map(inline).join("");
+        switch (element.localName) {
+            case "br": return "\n";
+            case "img": {
+                const alt = escapeText(clean(element.getAttribute("alt") || "").trim());
+                return withImages && (alt || element.src) ? `![${alt}](${element.src})` : ""
+            }
+            case "a": {
+                const text = content().trim();
+                const href = element.getAttribute("href");
+                if (!withLinks || !href || href.startsWith("javascript:") || !text) return text ? ` ${text} ` : "";
+                return ` [${text}](${element.href}) `
+            }
+            case "strong": case "b": {
+                const text = content().trim();
+                return text ? ` **${text}** ` : ""
+            }
+            case "em": case "i": {
+                const text = content().trim();
+                return text ? ` *${text}* ` : ""
+            }
+            case "code": {
+                const text = element.textContent.trim();
+                return text ? ` \`${text}\` ` : ""
+            }
+            case "label": {
+                // the label text is already the name of the fields it contains
+                const fields = Array.from(element.querySelectorAll("input, select, textarea")).filter(f => !isSkipped(f));
+                return fields.length > 0 ? fields.map(inline).join("") : content()
+            }
+            case "input": case "select": case "textarea": case "button":
+                return element.type === "hidden" ? "" : ` ${field(element)} `;
+            default:
+                return content()
+        }
+    };
+
+    const list = (element, depth, lines) => {
+        const ordered = element.localName === "ol";
+        let n = 0;
+        Array.from(element.children).forEach(li => {
+            if (li.localName !== "li" || isSkipped(li)) return;
+            ++n;
+            const marker = ordered ? `${n}.` : "-";
+            let text = "";
+            let nested = [];
+            Array.from(li.childNodes).forEach(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && ["ul", "ol"].includes(child.localName)) {
+                    nested.push(child);
+                } else {
+                    text += inline(child);
+                }
+            });
+            lines.push(`${"  ".repeat(depth)}${marker} ${escapeLine(clean(text).trim())}`);
+            nested.forEach(sub => list(sub, depth + 1, lines));
+        });
+        return lines
+    };
+
+    const table = (element) => {
+        let rows = Array.from(element.querySelectorAll("tr"))
+            .filter(tr => tr.closest("table") === element && !isSkipped(tr))
+            .map(tr => Array.from(tr.children).filter(c => !isSkipped(c)).map(c => escapeCell(clean(inline(c)))));
+        rows = rows.filter(row => row.some(cell => cell.length > 0));
+        if (rows.length === 0) {
+            return
+        }
+
+        const width = Math.max(...rows.map(row => row.length));
+        const line = (row) => "| " + Array.from({ length: width }, (_, i) => row[i] || "").join(" | ") + " |";
+        let lines = [line(rows[0]), "|" + " --- |".repeat(width)];
+        rows.slice(1).forEach(row => lines.push(line(row)));
+        emit(lines.join("\n"));
+    };
+
+    // the blocks of a quote are serialized as usual, then every line is quoted
+    const quote = (element) => {
+        const outerBlocks = blocks;
+        const outerLength = length;
+        blocks = [];
+        mixed(element);
+        const text = blocks.join("\n\n");
+        blocks = outerBlocks;
+        length = outerLength;
+        if (text) {
+            const wasTruncated = truncated;
+            truncated = false;
+            emit(text.split("\n").map(l => l ? "> " + l : ">").join("\n"));
+            truncated = truncated || wasTruncated;
+        }
+    };
+
+    const block = (element) => {
+        if (truncated || isSkipped(element)) {
+            return
+        }
+
+        const tag = element.localName;
+        if (/^h[1-6]$/.test(tag)) {
+            emit("#".repeat(Number(tag[1])) + " " + clean(inline(element)).trim());
+            return
+        }
+        switch (tag) {
+            case "ul": case "ol": emit(list(element, 0, []).join("\n")); return;
+            case "table": table(element); return;
+            case "hr": emit("---"); return;
+            case "pre": emit("```\n" + element.textContent.replace(/\n$/, "") + "\n```"); return;
+            case "blockquote": quote(element); return;
+        }
+
+        mixed(element);
+    };
+
+    // a block with mixed content, the inline runs are flushed as paragraphs
+    const mixed = (element) => {
+        let run = "";
+        const flush = () => {
+            emit(run.split("\n").map(l => escapeLine(clean(l).trim())).join("\n").trim());
+            run = "";
+        };
+        const children = element.shadowRoot ? element.shadowRoot.childNodes : element.childNodes;
+        Array.from(children).forEach(child => {
+            if (child.nodeType === Node.ELEMENT_NODE && md.blockTags.includes(child.localName)) {
+                flush();
+                block(child);
+            } else {
+                run += inline(child);
+            }
+        });
+        flush();
+    };
+
+    if (root) {
+        block(root);
+    }
+
+    let markdown = blocks.join("\n\n");
+    if (truncated) {
+        markdown += (markdown ? "\n\n" : "") + marker;
+    }
+    return markdown
+};
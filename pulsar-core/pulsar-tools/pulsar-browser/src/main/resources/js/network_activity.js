@@ -0,0 +1,192 @@
+"use strict";
+
+/**
+ * The network activity of the page, tracked since the tracker is installed.
+ *
+ * - in-flight fetch/XHR requests, by wrapping window.fetch and XMLHttpRequest.prototype.open/send
+ * - finished resources, by a PerformanceObserver of "resource" entries
+ * - long tasks of the main thread, by a PerformanceObserver of "longtask" entries
+ *
+ * The wrappers are visible to the page, so the tracker is not installed unless requested: it's installed by the
+ * preload script if the init parameter TRACK_NETWORK is true, otherwise by the first call of getNetworkActivity(), in
+ * which case the requests sent before are not tracked.
+ * */
+const __pulsar_NETWORK_ACTIVITY = {
+    installed: false,
+    nextRequestId: 1,
+    /**
+     * The URLs of the opened XHR requests, xhr -> url, the page can not see them
+     * */
+    xhrUrls: new WeakMap(),
+    /**
+     * In-flight requests, request id -> {type, url, start}
+     * */
+    inflight: new Map(),
+    numFetch: 0,
+    numXhr: 0,
+    numFinished: 0,
+    numFailed: 0,
+    numResources: 0,
+    numLongTasks: 0,
+    longTaskMs: 0,
+    /**
+     * The last time any network or main thread activity happens, in performance.now() milliseconds
+     * */
+    lastActivityTs: 0
+};
+
+/**
+ * Install the network activity tracker, it's safe to call multiple times.
+ * */
+__pulsar_utils__.installNetworkTracker = function() {
+    const activity = __pulsar_NETWORK_ACTIVITY;
+    if (activity.installed || typeof window === 'undefined') {
+        return
+    }
+    activity.installed = true;
+
+    const now = () => (window.performance && performance.now) ? performance.now() : Date.now();
+    activity.lastActivityTs = now();
+
+    const begin = (type, url) => {
+        const id = activity.nextRequestId++;
+        activity.inflight.set(id, { type: type, url: String(url || ""), start: now() });
+        activity.lastActivityTs = now();
+        return id
+    };
+    const end = (id, failed) => {
+        if (activity.inflight.delete(id)) {
+            ++activity.numFinished;
+            if (failed) ++activity.numFailed;
+        }
+        activity.lastActivityTs = now();
+    };
+
+    // A Proxy keeps the name, length and the native toString of the wrapped function
+    if (typeof window.fetch === 'function') {
+        window.fetch = new Proxy(window.fetch, {
+            apply(target, thisArg, args) {
+                ++activity.numFetch;
+                const input = args[0];
+                const id = begin("fetch", input && input.url ? input.url : input);
+                let promise;
+                try {
+                    promise = Reflect.apply(target, thisArg, args);
+                } catch (e) {
+                    end(id, true);
+                    throw e
+                }
+                promise.then(() => end(id, false), () => end(id, true));
+                return promise
+            }
+        });
+    }
+
+    if (typeof XMLHttpRequest === 'function') {
+        const proto = XMLHttpRequest.prototype;
+        proto.open = new Proxy(proto.open, {
+            apply(target, thisArg, args) {
+                activity.xhrUrls.set(thisArg, args[1]);
+                return Reflect.apply(target, thisArg, args)
+            }
+        });
+        proto.send = new Proxy(proto.send, {
+            apply(target, thisArg, args) {
+                ++activity.numXhr;
+                const id = begin("xhr", activity.xhrUrls.get(thisArg));
+                let failed = false;
+                thisArg.addEventListener('error', () => { failed = true }, { once: true });
+                thisArg.addEventListener('timeout', () => { failed = true }, { once: true });
+                thisArg.addEventListener('loadend', () => end(id, failed), { once: true });
+                try {
+                    return Reflect.apply(target, thisArg, args)
+                } catch (e) {
+                    end(id, true);
+                    throw e
+                }
+            }
+        });
+    }
+
+    if (typeof PerformanceObserver === 'function') {
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        try {
+            if (supported.includes("resource")) {
+                new PerformanceObserver(list => {
+                    list.getEntries().forEach(entry => {
+                        ++activity.numResources;
+                        activity.lastActivityTs = Math.max(activity.lastActivityTs, entry.responseEnd);
+                    });
+                }).observe({ type: "resource", buffered: true });
+            }
+
+            if (supported.includes("longtask")) {
+                new PerformanceObserver(list => {
+                    list.getEntries().forEach(entry => {
+                        ++activity.numLongTasks;
+                        activity.longTaskMs += entry.duration;
+                        activity.lastActivityTs = Math.max(activity.lastActivityTs, entry.startTime + entry.duration);
+                    });
+                }).observe({ type: "longtask", buffered: true });
+            }
+        } catch (e) {
+            // observing is best-effort, the request counters still work
+        }
+    }
+};
+
+/**
+ * Get the network activity of the page.
+ *
+ * A request in flight for longer than options.stuckMs is considered stuck, for example, a beacon or a long polling
+ * request, and it does not prevent the network from being quiet.
+ *
+ * @param options {Object} {stuckMs: 10000}
+ * @return {Object} The network activity, quietMs is the time since the last activity, or 0 if any request is in flight
+ * */
+__pulsar_utils__.getNetworkActivity = function(options = {}) {
+    this.installNetworkTracker();
+    const activity = __pulsar_NETWORK_ACTIVITY;
+    const stuckMs = options.stuckMs ?? 10000;
+    const now = (window.performance && performance.now) ? performance.now() : Date.now();
+
+    let numInflight = 0;
+    let numStuck = 0;
+    activity.inflight.forEach(request => {
+        if (now - request.start >= stuckMs) {
+            ++numStuck;
+        } else {
+            ++numInflight;
+        }
+    });
+
+    return {
+        installed: activity.installed,
+        inflight: numInflight,
+        stuck: numStuck,
+        fetch: activity.numFetch,
+        xhr: activity.numXhr,
+        finished: activity.numFinished,
+        failed: activity.numFailed,
+        resources: activity.numResources,
+        longTasks: activity.numLongTasks,
+        longTaskMs: Math.round(activity.longTaskMs),
+        quietMs: numInflight > 0 ? 0 : Math.max(0, Math.round(now - activity.lastActivityTs))
+    }
+};
+
+/**
+ * Check if the network is quiet for at least quietMs milliseconds, like Playwright's `networkidle`.
+ *
+ * @param quietMs {Number} The quiet time required
+ * @param options {Object} The options passed to getNetworkActivity()
+ * @return {boolean}
+ * */
+__pulsar_utils__.isNetworkQuiet = function(quietMs = 500, options = {}) {
+    return this.getNetworkActivity(options).quietMs >= quietMs
+};
+
+// init parameters generated by Kotlin code are strings
+if (String(__pulsar_utils__.getConfig().TRACK_NETWORK) === "true") {
+    __pulsar_utils__.installNetworkTracker();
+}
@@ -13,8 +13,9 @@ Node.prototype.__pulsar_setAttributeIfNotBlank = function(attrName, attrValue) {
 
 /**
  * @param predicate The predicate
+ * @param options The traverse options, see {@link __pulsar_NodeTraversor}
  * */
-Node.prototype.__pulsar_count = function(predicate) {
+Node.prototype.__pulsar_count = function(predicate, options = {}) {
     let c = 0;
     let visitor = function () {};
     visitor.head = function (node, depth) {
@@ -23,32 +24,34 @@ Node.prototype.__pulsar_count = function(predicate) {
         }
     };
 
-    new __pulsar_NodeTraversor(visitor).traverse(this);
+    new __pulsar_NodeTraversor(visitor, options).traverse(this);
     return c;
 };
 
 /**
  * @param action The action applied to each node
+ * @param options The traverse options, see {@link __pulsar_NodeTraversor}
  * */
-Node.prototype.__pulsar_forEach = function(action) {
+Node.prototype.__pulsar_forEach = function(action, options = {}) {
     let visitor = {};
     visitor.head = function (node, depth) {
         action(node)
     };
-    new __pulsar_NodeTraversor(visitor).traverse(this);
+    new __pulsar_NodeTraversor(visitor, options).traverse(this);
 };
 
 /**
  * @param action The action applied to each node
+ * @param options The traverse options, see {@link __pulsar_NodeTraversor}
  * */
-Node.prototype.__pulsar_forEachElement = function(action) {
+Node.prototype.__pulsar_forEachElement = function(action, options = {}) {
     let visitor = {};
     visitor.head = function (node, depth) {
         if (node.nodeType === Node.ELEMENT_NODE) {
             action(node)
         }
     };
-    new __pulsar_NodeTraversor(visitor).traverse(this);
+    new __pulsar_NodeTraversor(visitor, options).traverse(this);
 };
 
 /**
@@ -119,6 +122,14 @@ Node.prototype.__pulsar_isElement = function() {
     return this.nodeType === Node.ELEMENT_NODE;
 };
 
+/**
+ * Check if the node is the root of a shadow tree, the traversor reports shadow boundaries with it.
+ * @return {boolean}
+ * */
+Node.prototype.__pulsar_isShadowRoot = function() {
+    return this.nodeType === Node.DOCUMENT_FRAGMENT_NODE && !!this.host;
+};
+
 /**
  * @return {Element}
  * */
@@ -156,6 +167,11 @@ Node.prototype.__pulsar_isImage = function() {
  * */
 Node.prototype.__pulsar_nScreen = function() {
     let rect = this.__pulsar_getRect();
+    if (!rect) {
+        // nodes without a parent element, for example, text nodes directly under a shadow root
+        return 0;
+    }
+
     const config = __pulsar_utils__.getConfig();
     const viewPortHeight = config.viewPortHeight;
     let ns = rect.y / viewPortHeight;
@@ -376,14 +392,18 @@ __pulsar_NodeExt.prototype.hasOverflowHidden = function() {
  * @return {boolean}
  * */
 __pulsar_NodeExt.prototype.hasParent = function() {
-    return this.node.parentElement != null && this.parent() != null;
+    return this.parent() != null;
 };
 
 /**
- * @return {__pulsar_NodeExt}
+ * The parent element's NodeExt, the parent of a node directly under a shadow root is the shadow host.
+ *
+ * @return {__pulsar_NodeExt|null}
  * */
 __pulsar_NodeExt.prototype.parent = function() {
-    return this.node.parentElement.__pulsar_nodeExt;
+    let parentNode = this.node.parentNode;
+    let parent = this.node.parentElement || (parentNode && parentNode.__pulsar_isShadowRoot() ? parentNode.host : null);
+    return parent ? parent.__pulsar_nodeExt : null;
 };
 
 /**
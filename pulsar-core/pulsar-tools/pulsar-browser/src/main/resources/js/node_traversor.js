@@ -9,16 +9,23 @@
  *
  * NOTE: document.createTreeWalker is OK
  *
+ * Options:
+ * - diagnosis: enable diagnosis
+ * - shadow: descend into open shadow roots and visit slotted nodes in render order
+ * - frames: descend into the documents of accessible (same-origin) iframes
+ *
  * @param visitor {Object} a class implementing the {@link __pulsar_NodeFeatureCalculator} interface, to be called when visiting each node.
  */
 let __pulsar_NodeTraversor = function(visitor) {
     this.visitor = visitor;
     this.options = {
-        diagnosis : false
+        diagnosis : false,
+        shadow: false,
+        frames: false
     };
 
     if (arguments.length > 1) {
-        this.options = arguments[1];
+        this.options = Object.assign(this.options, arguments[1]);
     }
 }
 
@@ -30,6 +37,10 @@ window.__pulsar_.__pulsar_NodeTraversor = __pulsar_NodeTraversor
  * @param root {Node} the root node point to traverse.
  */
 __pulsar_NodeTraversor.prototype.traverse = function(root) {
+    if (this.options.shadow || this.options.frames) {
+        return this.traverseComposed(root)
+    }
+
     let node = root
     let depth = 0
     let visitor = this.visitor
@@ -58,3 +69,77 @@ __pulsar_NodeTraversor.prototype.traverse = function(root) {
         }
     }
 };
+
+/**
+ * Start a depth-first traverse of the composed tree, which is the tree the user actually sees.
+ *
+ * An element hosting an open shadow root has the shadow root as its only child, so the shadow boundary is reported
+ * to the visitor by calling head/tail with the ShadowRoot itself, check it with `node.__pulsar_isShadowRoot()`.
+ * A slot element is followed by its assigned nodes, or by its fallback content if nothing is assigned.
+ * Light DOM children that are not assigned to any slot are not rendered, so they are not visited.
+ *
+ * If frames are traversed, the body of an accessible iframe's document is the only child of the iframe,
+ * and a cross-origin iframe, or an iframe our scripts are not injected into, has no children, so they are not
+ * traversed in vain.
+ *
+ * @param root {Node} the root node point to traverse.
+ */
+__pulsar_NodeTraversor.prototype.traverseComposed = function(root) {
+    let visitor = this.visitor
+    visitor.stopped = false
+
+    if (!visitor.tail) {
+        // empty function
+        visitor.tail = function () {}
+    }
+
+    // every frame holds a node and the composed children that are not visited yet
+    let stack = []
+    visitor.head(root, 0)
+    stack.push({ node: root, children: this.composedChildNodes(root), next: 0 })
+
+    while (!visitor.stopped && stack.length > 0) {
+        let frame = stack[stack.length - 1]
+        if (frame.next < frame.children.length) {
+            let child = frame.children[frame.next++]
+            visitor.head(child, stack.length)
+            stack.push({ node: child, children: this.composedChildNodes(child), next: 0 })
+        } else {
+            stack.pop()
+            visitor.tail(frame.node, stack.length)
+        }
+    }
+};
+
+/**
+ * Get the child nodes of a node in the composed tree.
+ *
+ * @param node {Node}
+ * @return {Array}
+ */
+__pulsar_NodeTraversor.prototype.composedChildNodes = function(node) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+        if (this.options.frames && node.nodeName === "IFRAME") {
+            let doc = __pulsar_utils__.getScriptableFrameDocument(node)
+            return doc ? [doc.body] : []
+        }
+
+        if (!this.options.shadow) {
+            return Array.from(node.childNodes)
+        }
+
+        // closed shadow roots are not accessible, and the element.shadowRoot is null for them
+        if (node.shadowRoot) {
+            return [node.shadowRoot]
+        }
+
+        if (node.nodeName === "SLOT" && typeof node.assignedNodes === "function") {
+            let assigned = node.assignedNodes()
+            if (assigned.length > 0) {
+                return assigned
+            }
+        }
+    }
+
+    return Array.from(node.childNodes)
+};
@@ -0,0 +1,159 @@
+"use strict";
+
+/**
+ * The set-of-marks overlay: every interactive element is outlined and labeled with its stable index, so a screenshot
+ * can be related to the elements returned by extractInteractiveElements().
+ *
+ * All the injected nodes live in one container and all the injected styles in one style element, clearOverlay()
+ * removes both and leaves the page as it was.
+ * */
+const __pulsar_OVERLAY = {
+    containerAttribute: "data-pulsar-overlay",
+    /**
+     * The colors of the marks by element type, the type is derived from the role
+     * */
+    colors: {
+        link: "#1e6fd9",
+        button: "#1a9c45",
+        input: "#e07b00",
+        toggle: "#8e44ad",
+        select: "#0f8c8c",
+        other: "#6b6b6b"
+    },
+    labelHeight: 16,
+    labelCharWidth: 7,
+    container: null,
+    style: null
+};
+
+/**
+ * Get the mark type of a role.
+ *
+ * @param role {String|null}
+ * @return {String} One of the keys of __pulsar_OVERLAY.colors
+ * */
+__pulsar_utils__.getOverlayType = function(role) {
+    switch (role) {
+        case "link": return "link";
+        case "button": case "menuitem": case "tab": return "button";
+        case "textbox": case "searchbox": case "spinbutton": case "slider": return "input";
+        case "checkbox": case "radio": case "switch": case "menuitemcheckbox": case "menuitemradio": return "toggle";
+        case "combobox": case "listbox": case "option": return "select";
+        default: return "other";
+    }
+};
+
+/**
+ * Show the set-of-marks overlay, an existing overlay is cleared first.
+ *
+ * @param options {Object} {outline: true, colors: override the colors by type, and the options of
+ *                 extractInteractiveElements()}
+ * @return {Object[]} The marks, every mark is {index, type, color, label: {x, y}}, in page coordinates
+ * */
+__pulsar_utils__.showOverlay = function(options = {}) {
+    this.clearOverlay();
+
+    const overlay = __pulsar_OVERLAY;
+    const colors = Object.assign({}, overlay.colors, options.colors || {});
+    const outline = options.outline ?? true;
+
+    let style = document.createElement("style");
+    style.setAttribute(overlay.containerAttribute, "");
+    style.textContent = `div[${overlay.containerAttribute}] { position: absolute; top: 0; left: 0; width: 0; height: 0; ` +
+        `pointer-events: none; z-index: 2147483647; }\n` +
+        `div[${overlay.containerAttribute}] > div { position: absolute; box-sizing: border-box; pointer-events: none; }\n` +
+        `div[${overlay.containerAttribute}] > .mark-label { font: bold 11px/${overlay.labelHeight}px monospace; ` +
+        `color: white; padding: 0 3px; border-radius: 3px; white-space: nowrap; }`;
+    (document.head || document.documentElement).appendChild(style);
+
+    let container = document.createElement("div");
+    container.setAttribute(overlay.containerAttribute, "");
+    document.documentElement.appendChild(container);
+    overlay.style = style;
+    overlay.container = container;
+
+    let placed = [];
+    let marks = [];
+    this.collectInteractiveElements(options).forEach(({element, role}) => {
+        let rect = element.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) {
+            return;
+        }
+
+        let index = this.getStableIndex(element);
+        let type = this.getOverlayType(role);
+        let color = colors[type];
+        let box = {
+            x: rect.left + window.scrollX,
+            y: rect.top + window.scrollY,
+            width: rect.width,
+            height: rect.height
+        };
+
+        if (outline) {
+            let frame = document.createElement("div");
+            Object.assign(frame.style, {
+                left: `${box.x}px`, top: `${box.y}px`, width: `${box.width}px`, height: `${box.height}px`,
+                border: `2px solid ${color}`
+            });
+            container.appendChild(frame);
+        }
+
+        let text = String(index);
+        let label = this.placeOverlayLabel(box, text.length * overlay.labelCharWidth + 6, overlay.labelHeight, placed);
+        placed.push(label);
+
+        let labelNode = document.createElement("div");
+        labelNode.className = "mark-label";
+        labelNode.textContent = text;
+        Object.assign(labelNode.style, { left: `${label.x}px`, top: `${label.y}px`, background: color });
+        container.appendChild(labelNode);
+
+        marks.push({ index: index, type: type, color: color, label: { x: Math.round(label.x), y: Math.round(label.y) } });
+    });
+
+    return marks
+};
+
+/**
+ * Find a position for a label which does not collide with the placed labels.
+ *
+ * The candidates are tried in order: above the top-left corner, inside the top-left corner, below the bottom-left
+ * corner, above the top-right corner and inside the top-right corner. The first candidate is used if all collide.
+ *
+ * @param box {Object} The element box {x, y, width, height} in page coordinates
+ * @param width {Number} The label width
+ * @param height {Number} The label height
+ * @param placed {Object[]} The placed labels
+ * @return {Object} The label box {x, y, width, height}
+ * */
+__pulsar_utils__.placeOverlayLabel = function(box, width, height, placed) {
+    const candidates = [
+        [box.x, box.y - height],
+        [box.x, box.y],
+        [box.x, box.y + box.height],
+        [box.x + box.width - width, box.y - height],
+        [box.x + box.width - width, box.y]
+    ].map(([x, y]) => ({ x: Math.max(0, x), y: Math.max(0, y), width: width, height: height }));
+
+    const intersects = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+    return candidates.find(c => !placed.some(p => intersects(c, p))) || candidates[0]
+};
+
+/**
+ * Remove the set-of-marks overlay, all the injected nodes and styles are removed.
+ *
+ * @return {Number} The number of removed nodes
+ * */
+__pulsar_utils__.clearOverlay = function() {
+    const overlay = __pulsar_OVERLAY;
+    let count = 0;
+    // look up the document rather than the state, the nodes may be injected by a previous instance of the script
+    document.querySelectorAll(`[${overlay.containerAttribute}]`).forEach(node => {
+        count += node.childElementCount;
+        node.remove();
+    });
+    overlay.container = null;
+    overlay.style = null;
+    return count
+};
@@ -0,0 +1,167 @@
+"use strict";
+
+/**
+ * The page state protocol.
+ *
+ * The page state message is built by createDataIfAbsent(), updateStat() and computeMetadata(), it's returned by
+ * checkStatus(), compute() and getActiveDomMessage(), and it's parsed by ActiveDOMMessage in the JVM.
+ *
+ * The short keys are used on the wire by default to keep the message small, every field has a long-form key which
+ * is used if the message is requested with {longKeys: true}.
+ *
+ * Bump the version if a field is removed, renamed or changes its meaning, adding a field is compatible.
+ * */
+const __pulsar_PAGE_STATE_PROTOCOL = {
+    version: 1,
+    /**
+     * The readiness status, short key -> [long key, type, description]
+     * */
+    status: {
+        n: ["checkCount", "integer", "The number of readiness checks"],
+        scroll: ["scrollCount", "integer", "The number of scrolls performed by the readiness checks"],
+        idl: ["idleCount", "integer", "The number of checks in which the DOM is not changed"],
+        st: ["documentState", "string", "The first letter of document.readyState: l(oading), i(nteractive), c(omplete)"],
+        r: ["completeReason", "string", "The reason why the document is considered ready, prefixed by the readiness strategy name unless it's the default strategy"],
+        ec: ["errorCode", "string", "The error code if the browser shows an error page"]
+    },
+    /**
+     * The DOM statistics, short key -> [long key, type, description]
+     * */
+    stat: {
+        w: ["width", "integer", "The max scroll width of the div elements"],
+        h: ["height", "integer", "The max scroll height of the wide div elements"],
+        na: ["numAnchors", "integer", "The number of anchors"],
+        ni: ["numImages", "integer", "The number of images which are not small"],
+        nst: ["numShortTexts", "integer", "The number of short texts in the first screens"],
+        nnm: ["numNumberLikeTexts", "integer", "The number of number like texts in the first screens"]
+    },
+    /**
+     * The trace, short key -> [long key, type, description]
+     * */
+    trace: {
+        status: ["status", "status", "The readiness status"],
+        initStat: ["initialStat", "stat", "The DOM statistics at the first check"],
+        lastStat: ["lastStat", "stat", "The DOM statistics at the last check"],
+        initD: ["initialDelta", "stat", "The changes since the first check"],
+        lastD: ["lastDelta", "stat", "The changes since the previous check"]
+    },
+    /**
+     * The urls, key -> [long key, type, description]
+     * */
+    urls: {
+        URL: ["URL", "string", "document.URL"],
+        baseURI: ["baseURI", "string", "document.baseURI"],
+        location: ["location", "string", "window.location.href"],
+        documentURI: ["documentURI", "string", "document.documentURI"],
+        referrer: ["referrer", "string", "document.referrer"]
+    },
+    /**
+     * The metadata computed by computeMetadata(), key -> [long key, type, description]
+     * */
+    metadata: {
+        viewPortWidth: ["viewPortWidth", "integer", "The configured viewport width"],
+        viewPortHeight: ["viewPortHeight", "integer", "The configured viewport height"],
+        scrollTop: ["scrollTop", "string", "The vertical scroll position, fixed to 2 decimals"],
+        scrollLeft: ["scrollLeft", "string", "The horizontal scroll position, fixed to 2 decimals"],
+        clientWidth: ["clientWidth", "string", "The width of the window, fixed to 2 decimals"],
+        clientHeight: ["clientHeight", "string", "The height of the window, fixed to 2 decimals"],
+        screenNumber: ["screenNumber", "string", "The 0-based screen number of the scroll position, fixed to 2 decimals"],
+        dateTime: ["dateTime", "string", "The local date time"],
+        timestamp: ["timestamp", "string", "The epoch milliseconds"]
+    }
+};
+
+/**
+ * Rename the keys of an object by the field table.
+ *
+ * @param object {Object|null}
+ * @param fields {Object} The field table of the protocol
+ * @param convert {Function} Convert the value of a field with the type of the field
+ * @return {Object|null}
+ * */
+__pulsar_utils__.renameProtocolKeys = function(object, fields, convert) {
+    if (!object) {
+        return object
+    }
+
+    let result = {};
+    Object.keys(object).forEach(key => {
+        let field = fields[key];
+        if (field) {
+            result[field[0]] = convert(field[1], object[key]);
+        } else {
+            // unknown fields are kept as is
+            result[key] = object[key];
+        }
+    });
+    return result
+};
+
+/**
+ * Convert a page state message to the long-form keys.
+ *
+ * @param message {Object} The page state message with short keys
+ * @return {Object} A copy of the message with long-form keys
+ * */
+__pulsar_utils__.toLongFormMessage = function(message) {
+    const protocol = __pulsar_PAGE_STATE_PROTOCOL;
+    const identity = (type, value) => value;
+    const convertTraceField = (type, value) => this.renameProtocolKeys(value, protocol[type], identity);
+
+    let result = Object.assign({}, message);
+    result.keyForm = "long";
+    result.trace = this.renameProtocolKeys(message.trace, protocol.trace, convertTraceField);
+    result.urls = this.renameProtocolKeys(message.urls, protocol.urls, identity);
+    result.metadata = this.renameProtocolKeys(message.metadata, protocol.metadata, identity);
+    return result
+};
+
+/**
+ * Describe the page state protocol in JSON schema.
+ *
+ * @param options {Object} {longKeys: true} to describe the message with long-form keys
+ * @return {Object} The JSON schema of the page state message
+ * */
+__pulsar_utils__.describeProtocol = function(options = {}) {
+    const protocol = __pulsar_PAGE_STATE_PROTOCOL;
+    const longKeys = !!options.longKeys;
+    const nullable = ["initStat", "metadata"];
+
+    const describeObject = (fields, nullableObject) => {
+        let properties = {};
+        Object.keys(fields).forEach(key => {
+            let [longKey, type, description] = fields[key];
+            let property;
+            if (protocol[type]) {
+                property = describeObject(protocol[type], nullable.includes(key));
+            } else {
+                property = { type: type };
+            }
+            property.description = description;
+            properties[longKeys ? longKey : key] = property;
+        });
+        return {
+            type: nullableObject ? ["object", "null"] : "object",
+            properties: properties
+        }
+    };
+
+    let schema = {
+        $schema: "http://json-schema.org/draft-07/schema#",
+        title: "PageStateMessage",
+        description: "The page state message produced by the injected scripts",
+        type: "object",
+        required: ["version", "trace", "urls"],
+        properties: {
+            version: { const: protocol.version, description: "The protocol version" },
+            keyForm: { enum: ["short", "long"], description: "The form of the keys, short keys are used if absent" },
+            trace: describeObject(protocol.trace, false),
+            urls: describeObject(protocol.urls, false),
+            metadata: describeObject(protocol.metadata, true)
+        }
+    };
+    schema.properties.trace.description = "The readiness trace";
+    schema.properties.urls.description = "The urls of the document";
+    schema.properties.metadata.description = "The metadata computed by compute()";
+    return schema
+};
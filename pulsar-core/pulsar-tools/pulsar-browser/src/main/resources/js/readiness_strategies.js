@@ -0,0 +1,136 @@
+"use strict";
+
+/**
+ * The registry of readiness strategies, strategy name -> predicate.
+ *
+ * A predicate is called once per readiness check with a context object:
+ * - options: the options passed to waitForDocumentFullyLoaded(scroll, options)
+ * - status: the readiness status, see __pulsar_PAGE_STATE_PROTOCOL.status
+ * - stat: the DOM statistics of the last check
+ * - delta: the changes since the previous check
+ * - utils: __pulsar_utils__
+ *
+ * The predicate returns a short reason if the document is ready, or false otherwise.
+ * */
+__pulsar_utils__.readinessStrategies = {};
+
+/**
+ * The state of the readiness strategies kept between checks, a strategy has its own state so the strategies never
+ * disturb each other, and the state is not a part of the page state message.
+ * */
+const __pulsar_READINESS = {
+    /**
+     * The number of continuous checks without DOM changes, counted by the content-stable strategy
+     * */
+    numStableChecks: 0
+};
+
+/**
+ * Register a readiness strategy, an existing strategy with the same name is replaced.
+ *
+ * @param name {String} The strategy name
+ * @param predicate {Function} The predicate, returns a short reason if the document is ready, or false otherwise
+ * */
+__pulsar_utils__.registerReadinessStrategy = function(name, predicate) {
+    if (typeof predicate !== 'function') {
+        throw this.createStacklessError('The readiness predicate must be a function: ' + name);
+    }
+
+    this.readinessStrategies[name] = predicate;
+};
+
+/**
+ * The default strategy: the document is complete, or the DOM is rich enough and is not changed for a while.
+ * */
+__pulsar_utils__.registerReadinessStrategy("default", function(context) {
+    let {options, status, stat, delta: d, utils} = context;
+
+    // all sub resources are loaded, the document is ready now
+    if (status.st === "c") {
+        // assert(document.readyState === "complete")
+        return "st"
+    }
+
+    // The DOM is very good for analysis, no wait for more information
+    if (status.n > 20 && stat.h >= (options.fineHeight ?? utils.fineHeight)
+        && stat.na >= (options.fineNumAnchor ?? utils.fineNumAnchor)
+        && stat.ni >= (options.fineNumImage ?? utils.fineNumImage)
+    ) {
+        if (d.h < 10 && d.na === 0 && d.ni === 0 && d.nst === 0 && d.nnm === 0) {
+            ++status.idl;
+            if (status.idl > 10) {
+                // idle for 10 seconds
+                return "ct"
+            }
+        }
+    }
+
+    return false
+});
+
+/**
+ * The document and all its sub resources are loaded.
+ * */
+__pulsar_utils__.registerReadinessStrategy("load-complete", function(context) {
+    return context.status.st === "c" ? "st" : false
+});
+
+/**
+ * The document is parsed, no fetch/XHR request is in flight and the network is quiet for options.quietMs milliseconds,
+ * see getNetworkActivity() for options.stuckMs. The network tracker is installed by the first check if it's not yet.
+ * */
+__pulsar_utils__.registerReadinessStrategy("network-quiet", function(context) {
+    let {options, status, utils} = context;
+    if (status.st === "l") {
+        return false
+    }
+
+    return utils.isNetworkQuiet(options.quietMs ?? 500, options) ? "nq" : false
+});
+
+/**
+ * An element matching options.selector is present and visible, the selector is a unified selector, see
+ * selector_resolver.js.
+ * */
+__pulsar_utils__.registerReadinessStrategy("selector-present", function(context) {
+    let selector = context.options.selector;
+    if (!selector) {
+        return false
+    }
+
+    let ele = context.utils.resolveSelector(selector);
+    return ele != null && context.utils.isElementVisible(ele) ? "sel" : false
+});
+
+/**
+ * The DOM statistics are not changed in options.stableChecks continuous checks.
+ * */
+__pulsar_utils__.registerReadinessStrategy("content-stable", function(context) {
+    let {options, delta: d} = context;
+    const stableChecks = options.stableChecks ?? 3;
+    const readiness = __pulsar_READINESS;
+
+    if (d.w === 0 && d.h === 0 && d.na === 0 && d.ni === 0 && d.nst === 0 && d.nnm === 0) {
+        ++readiness.numStableChecks;
+    } else {
+        readiness.numStableChecks = 0;
+    }
+
+    return readiness.numStableChecks >= stableChecks ? "cs" : false
+});
+
+/**
+ * A custom predicate in options.predicate, a function called with the context, for the callers in the page only.
+ *
+ * The JVM passes the options as JSON which can not carry a function, and a javascript string is never evaluated,
+ * a predicate used from the JVM is registered as a named strategy by registerReadinessStrategy() instead.
+ * */
+__pulsar_utils__.registerReadinessStrategy("custom", function(context) {
+    let predicate = context.options.predicate;
+    if (typeof predicate !== 'function') {
+        throw context.utils.createStacklessError('The custom readiness predicate must be a function, ' +
+            'register a named strategy to use it from the JVM');
+    }
+
+    return predicate(context) ? "cp" : false
+});
@@ -0,0 +1,325 @@
+"use strict";
+
+/**
+ * Detect repeated records, for example, the product cards of a listing page, and extract them without hand-written
+ * rules.
+ *
+ * Sibling elements with the same tag and class names are grouped, a group is a record set if most of its members share
+ * the same inner structure (the tag paths of the descendants) and a similar size. For every record set, per-field
+ * selectors relative to the record are proposed for the title, the price, the image and the link.
+ * */
+const __pulsar_RECORD_DETECTOR = {
+    minRecords: 3,
+    maxGroups: 3,
+    /**
+     * The min Jaccard similarity of the tag paths of a record to the prototype record
+     * */
+    minSimilarity: 0.5,
+    /**
+     * The depth of the tag paths used to compare the structure of records
+     * */
+    pathDepth: 4,
+    /**
+     * The max relative deviation of the width and the height of a record from the mean
+     * */
+    maxSizeDeviation: 0.5,
+    pricePattern: /([$€£¥￥₹]|US\$|RMB|CNY|EUR|USD)\s?\d|\d[\d.,\s]*\s?([€£元]|EUR|USD)/,
+    titlePattern: /(^|[-_\s])(title|name|heading|headline)($|[-_\s])/i
+};
+
+/**
+ * Detect the record sets of the page.
+ *
+ * @param options {Object} {root: a selector, an element handle or an element, document.body by default,
+ *                 minRecords: 3, maxGroups: 3, maxRecords: 100}
+ * @return {Object[]} The record sets in descending order of the score, every record set is
+ *                    {containerSelector, recordSelector, count, score, fields: {title, price, image, link}, records},
+ *                    every record is {index, handle, title, price, image, link}, the handle is the element handle of
+ *                    the record, see getElementHandle()
+ * */
+__pulsar_utils__.detectRecords = function(options = {}) {
+    const rd = __pulsar_RECORD_DETECTOR;
+    const root = this.resolveRoot(options.root, document.body);
+    const minRecords = options.minRecords ?? rd.minRecords;
+    const maxGroups = options.maxGroups ?? rd.maxGroups;
+    const maxRecords = options.maxRecords ?? 100;
+    if (!root) {
+        return []
+    }
+
+    let groups = [];
+    // the root itself can be the container of the records
+    [root, ...root.querySelectorAll("*")].forEach(parent => {
+        if (parent.childElementCount < minRecords || ["select", "head", "script", "svg"].includes(parent.localName)) {
+            return;
+        }
+
+        let bySignature = new Map();
+        Array.from(parent.children).forEach(child => {
+            const signature = this.getRecordSignature(child);
+            if (!bySignature.has(signature)) bySignature.set(signature, []);
+            bySignature.get(signature).push(child);
+        });
+
+        bySignature.forEach((members, signature) => {
+            if (members.length < minRecords) return;
+            const group = this.analyzeRecordGroup(parent, signature, members);
+            if (group && group.records.length >= minRecords) groups.push(group);
+        });
+    });
+
+    // a record set nested in a better record set is a part of each record, e.g. the badges of every card
+    groups.sort((a, b) => b.score - a.score);
+    let selected = [];
+    groups.forEach(group => {
+        if (selected.length < maxGroups && !selected.some(s => s.members.some(m => m.contains(group.parent)))) {
+            selected.push(group);
+        }
+    });
+
+    return selected.map(group => this.describeRecordGroup(group, maxRecords))
+};
+
+/**
+ * The signature of a record candidate: the tag name and the stable class names.
+ *
+ * @param element {Element}
+ * @return {String}
+ * */
+__pulsar_utils__.getRecordSignature = function(element) {
+    const classes = Array.from(element.classList).filter(c => this.isStableToken(c)).sort();
+    return element.localName + classes.map(c => "." + this.cssEscape(c)).join("")
+};
+
+/**
+ * Get the tag paths of the descendants of the element, e.g. a/img, a/h2, div/span.
+ *
+ * @param element {Element}
+ * @param depth {Number}
+ * @return {Set<String>}
+ * */
+__pulsar_utils__.getTagPaths = function(element, depth) {
+    let paths = new Set();
+    const walk = (ele, prefix, level) => {
+        Array.from(ele.children).forEach(child => {
+            const path = prefix ? prefix + "/" + child.localName : child.localName;
+            paths.add(path);
+            if (level < depth) walk(child, path, level + 1);
+        });
+    };
+    walk(element, "", 1);
+    return paths
+};
+
+/**
+ * Analyze a group of siblings with the same signature, the members which are not similar to the prototype are dropped.
+ *
+ * @param parent {Element}
+ * @param signature {String}
+ * @param members {Element[]}
+ * @return {Object|null} {parent, signature, members, records, prototype, score}
+ * */
+__pulsar_utils__.analyzeRecordGroup = function(parent, signature, members) {
+    const rd = __pulsar_RECORD_DETECTOR;
+    const jaccard = (a, b) => {
+        if (a.size === 0 && b.size === 0) return 1;
+        let intersection = 0;
+        a.forEach(x => { if (b.has(x)) ++intersection; });
+        return intersection / (a.size + b.size - intersection)
+    };
+
+    // the richest member is the prototype, placeholders and skeletons are usually poorer
+    const paths = members.map(m => this.getTagPaths(m, rd.pathDepth));
+    const textLengths = members.map(m => this.getTextContent(m).length);
+    let prototypeIndex = 0;
+    members.forEach((m, i) => {
+        if (paths[i].size + textLengths[i] / 50 > paths[prototypeIndex].size + textLengths[prototypeIndex] / 50) {
+            prototypeIndex = i;
+        }
+    });
+    if (paths[prototypeIndex].size === 0) {
+        return null
+    }
+
+    let records = members.filter((m, i) => textLengths[i] > 0 && jaccard(paths[i], paths[prototypeIndex]) >= rd.minSimilarity);
+
+    // the records of a list or a grid have similar sizes, the records which are not laid out are kept
+    ["width", "height"].forEach(dimension => {
+        const sizes = records.map(r => r.getBoundingClientRect()[dimension]).filter(size => size > 0);
+        if (sizes.length < 2) return;
+        const mean = sizes.reduce((a, b) => a + b, 0) / sizes.length;
+        records = records.filter(r => {
+            const size = r.getBoundingClientRect()[dimension];
+            return size === 0 || Math.abs(size - mean) / mean < rd.maxSizeDeviation;
+        });
+    });
+    if (records.length === 0) {
+        return null
+    }
+
+    const prototype = members[prototypeIndex];
+    const avgText = records.reduce((sum, r) => sum + this.getTextContent(r).length, 0) / records.length;
+    let score = records.length * Math.log(2 + avgText) * Math.log(2 + paths[prototypeIndex].size);
+    if (prototype.querySelector("a[href]")) score *= 1.2;
+    if (prototype.querySelector("img")) score *= 1.2;
+    if (rd.pricePattern.test(prototype.textContent)) score *= 1.5;
+    // menus and link lists in the boilerplate are repeated too, but they are rarely the records wanted
+    for (let e = parent; e && e !== document.body; e = e.parentElement) {
+        if (this.isBoilerplate(e)) {
+            score *= 0.2;
+            break;
+        }
+    }
+
+    return { parent: parent, signature: signature, members: members, records: records, prototype: prototype, score: score }
+};
+
+/**
+ * Select a field in a record, the selector `:scope` selects the record itself.
+ *
+ * @param record {Element}
+ * @param selector {String} The field selector relative to the record, see proposeFieldSelector()
+ * @return {Element|null}
+ * */
+__pulsar_utils__.selectRecordField = function(record, selector) {
+    return selector === ":scope" ? record : record.querySelector(selector)
+};
+
+/**
+ * Propose a selector of a field relative to the records, the one which finds a value in most records wins.
+ *
+ * @param field {Element} The field in the prototype record, or the prototype record itself
+ * @param prototype {Element} The prototype record
+ * @param records {Element[]}
+ * @return {String|null} The selector, `:scope` if the field is the record itself, for example, a record which is a link
+ * */
+__pulsar_utils__.proposeFieldSelector = function(field, prototype, records) {
+    if (!field) {
+        return null
+    }
+    if (field === prototype) {
+        return ":scope"
+    }
+
+    // the candidates without ids and with attribute values shared by all records
+    let candidates = this.getSelectorCandidates(field).filter(c => !c.startsWith("#"));
+    let path = [];
+    for (let e = field; e && e !== prototype; e = e.parentElement) {
+        path.unshift(this.getRecordSignature(e));
+    }
+    candidates.push(path.join(" > "));
+
+    let best = null;
+    let bestCoverage = 0;
+    candidates.forEach(candidate => {
+        try {
+            if (prototype.querySelector(candidate) !== field) return;
+            const coverage = records.filter(r => r.querySelector(candidate) != null).length;
+            if (coverage > bestCoverage) {
+                best = candidate;
+                bestCoverage = coverage;
+            }
+        } catch (e) {
+            // an invalid candidate is skipped
+        }
+    });
+    return best
+};
+
+/**
+ * Find the fields of the prototype record: the title, the price, the image and the link.
+ *
+ * @param prototype {Element}
+ * @return {Object} {title, price, image, link}, every field is an element or null
+ * */
+__pulsar_utils__.findRecordFields = function(prototype) {
+    const rd = __pulsar_RECORD_DETECTOR;
+    const elements = Array.from(prototype.querySelectorAll("*"));
+    const ownText = (e) => Array.from(e.childNodes).filter(n => n.nodeType === Node.TEXT_NODE)
+        .map(n => n.textContent).join("").trim();
+    const className = (e) => typeof e.className === 'string' ? e.className : "";
+
+    let price = elements.find(e => rd.pricePattern.test(ownText(e)) || (/price/i.test(className(e)) && /\d/.test(e.textContent)))
+        || null;
+    // the innermost element with the price
+    while (price && price.firstElementChild && rd.pricePattern.test(price.firstElementChild.textContent)) {
+        price = price.firstElementChild;
+    }
+
+    let title = elements.find(e => /^h[1-6]$/.test(e.localName) && ownText(e).length > 0)
+        || elements.find(e => rd.titlePattern.test(className(e)) && e.textContent.trim().length > 0)
+        || null;
+    // the record itself can be the link, a link around the title out of the record is not a field of the record
+    let titleLink = title && title.closest("a[href]");
+    let link = prototype.matches("a[href]") ? prototype
+        : (titleLink && prototype.contains(titleLink) ? titleLink : elements.find(e => e.matches("a[href]"))) || null;
+    if (!title && link) {
+        title = link;
+    }
+    let image = elements.find(e => e.localName === "img") || null;
+
+    return { title: title, price: price, image: image, link: link }
+};
+
+/**
+ * Describe a record set and extract its records.
+ *
+ * @param group {Object} The record group, see analyzeRecordGroup()
+ * @param maxRecords {Number}
+ * @return {Object}
+ * */
+__pulsar_utils__.describeRecordGroup = function(group, maxRecords) {
+    const fields = this.findRecordFields(group.prototype);
+    const selectors = {};
+    Object.keys(fields).forEach(name => {
+        selectors[name] = this.proposeFieldSelector(fields[name], group.prototype, group.records);
+    });
+
+    const containerSelector = this.buildSelector(group.parent);
+    const value = (record, name) => {
+        const selector = selectors[name];
+        const e = selector ? this.selectRecordField(record, selector) : null;
+        if (!e) return null;
+        switch (name) {
+            case "image": return e.src || e.getAttribute("data-src") || null;
+            case "link": return e.href || null;
+            default: return this.getTextContent(e) || null;
+        }
+    };
+
+    return {
+        containerSelector: containerSelector,
+        recordSelector: this.buildRecordSelector(group, containerSelector),
+        count: group.records.length,
+        score: Math.round(group.score * 100) / 100,
+        fields: selectors,
+        records: group.records.slice(0, maxRecords).map((record, i) => ({
+            index: i,
+            handle: this.getElementHandle(record),
+            title: value(record, "title"),
+            price: value(record, "price"),
+            image: value(record, "image"),
+            link: value(record, "link")
+        }))
+    }
+};
+
+/**
+ * Build the selector of the records of a record set, it matches exactly the records, so the number of matches is the
+ * count of the record set.
+ *
+ * The signature also matches the siblings which are dropped as not similar, and the siblings with more class names,
+ * they are excluded by their positions.
+ *
+ * @param group {Object} The record group, see analyzeRecordGroup()
+ * @param containerSelector {String|null} The selector of the parent of the records
+ * @return {String}
+ * */
+__pulsar_utils__.buildRecordSelector = function(group, containerSelector) {
+    const selector = containerSelector ? containerSelector + " > " + group.signature : group.signature;
+    const records = new Set(group.records);
+    const children = Array.from(group.parent.children);
+    return selector + children
+        .map((child, i) => !records.has(child) && child.matches(group.signature) ? ":not(:nth-child(" + (i + 1) + "))" : "")
+        .join("")
+};
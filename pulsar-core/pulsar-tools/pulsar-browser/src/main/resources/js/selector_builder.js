@@ -0,0 +1,290 @@
+"use strict";
+
+/**
+ * The selector builder synthesizes a CSS selector or an XPath which locates exactly one element.
+ *
+ * The selector is built from the most stable features first:
+ * 1. the id, if it does not look generated
+ * 2. the stable attributes, e.g. data-testid, name, aria-label
+ * 3. the class names, if they do not look hashed by a css-in-js library or a css module
+ * 4. the minimal chain of ancestors, with :nth-of-type() only where the siblings are ambiguous
+ *
+ * Every candidate is verified to be unique in the root before it's returned.
+ * */
+const __pulsar_SELECTOR_BUILDER = {
+    /**
+     * The attributes which are usually written by hand and kept stable between page versions, in priority order
+     * */
+    stableAttributes: ["data-testid", "data-test-id", "data-test", "data-qa", "data-cy", "name", "aria-label",
+        "placeholder", "title", "alt", "for", "role", "type"],
+    /**
+     * The max length of an attribute value used in a selector
+     * */
+    maxAttributeLength: 80,
+    /**
+     * The max number of ancestors in a selector chain
+     * */
+    maxDepth: 12
+};
+
+/**
+ * Escape a string to be used as an identifier in a CSS selector.
+ *
+ * @param value {String}
+ * @return {String}
+ * */
+__pulsar_utils__.cssEscape = function(value) {
+    if (typeof CSS !== 'undefined' && CSS.escape) {
+        return CSS.escape(value)
+    }
+
+    // A port of the CSS.escape polyfill, @see https://drafts.csswg.org/cssom/#serialize-an-identifier
+    let s = String(value);
+    let result = "";
+    for (let i = 0; i < s.length; ++i) {
+        let code = s.charCodeAt(i);
+        let c = s.charAt(i);
+        if (code === 0) {
+            result += "\uFFFD";
+        } else if ((code >= 0x1 && code <= 0x1F) || code === 0x7F
+            || (i === 0 && code >= 0x30 && code <= 0x39)
+            || (i === 1 && code >= 0x30 && code <= 0x39 && s.charCodeAt(0) === 0x2D)) {
+            result += "\\" + code.toString(16) + " ";
+        } else if (i === 0 && s.length === 1 && code === 0x2D) {
+            result += "\\" + c;
+        } else if (code >= 0x80 || code === 0x2D || code === 0x5F || /[0-9a-zA-Z]/.test(c)) {
+            result += c;
+        } else {
+            result += "\\" + c;
+        }
+    }
+    return result
+};
+
+/**
+ * Quote a string to be used as an attribute value in a CSS selector, e.g. [name="q"].
+ *
+ * The value is escaped by cssEscape(), an escaped identifier is also a valid CSS string, so the quoted value matches
+ * exactly the original value, including quotes, backslashes, newlines and leading digits.
+ *
+ * @param value {String}
+ * @return {String}
+ * */
+__pulsar_utils__.cssQuote = function(value) {
+    return '"' + this.cssEscape(value) + '"'
+};
+
+/**
+ * Check if an id or a class name looks written by hand, generated ids and hashed class names change between builds.
+ *
+ * @param token {String} The id or the class name
+ * @return {boolean}
+ * */
+__pulsar_utils__.isStableToken = function(token) {
+    if (!token || token.length > 40) {
+        return false
+    }
+
+    // css-in-js prefixes, framework state classes and react useId() ids
+    if (/^(css|sc|jsx|emotion|svelte|styled|ng|js|is|has)-/i.test(token) || /^:.+:$/.test(token)) {
+        return false
+    }
+
+    // a long run of digits, e.g. ember1234, item-20231018
+    if (/\d{4,}/.test(token)) {
+        return false
+    }
+
+    // a hash segment mixing letters and digits, e.g. a1b2c3, Button_root__3xY7z, title-x8Fk2
+    return !token.split(/[-_]+/).some(part => part.length >= 5 && /\d/.test(part) && /[a-zA-Z]/.test(part))
+};
+
+/**
+ * Build a selector which locates exactly the element in the root.
+ *
+ * @param element {Element} The element to locate
+ * @param options {Object} {type: "css"|"xpath", root: the search root, the element's root node by default}
+ * @return {String|null} The selector, or null if the element is not an element
+ * */
+__pulsar_utils__.buildSelector = function(element, options = {}) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+        return null
+    }
+
+    if (options.type === "xpath") {
+        return this.buildXPath(element, options)
+    }
+
+    let root = options.root || element.getRootNode();
+    const isUnique = (selector) => {
+        try {
+            let matches = root.querySelectorAll(selector);
+            return matches.length === 1 && matches[0] === element
+        } catch (e) {
+            return false
+        }
+    };
+
+    let candidates = this.getSelectorCandidates(element);
+    let unique = candidates.find(isUnique);
+    if (unique) {
+        return unique
+    }
+
+    // The minimal unique ancestor chain, every part is unique among its siblings
+    let chain = [];
+    let current = element;
+    while (current && current.nodeType === Node.ELEMENT_NODE && chain.length < __pulsar_SELECTOR_BUILDER.maxDepth) {
+        if (chain.length > 0) {
+            // the chain is anchored by an ancestor which can be located by its own features
+            let tail = " > " + chain.join(" > ");
+            let anchor = this.getSelectorCandidates(current).find(c => c !== current.localName && isUnique(c + tail));
+            if (anchor) {
+                return anchor + tail
+            }
+        }
+
+        chain.unshift(this.getSiblingUniqueSelector(current));
+        let selector = chain.join(" > ");
+        if (isUnique(selector)) {
+            return selector
+        }
+        current = current.parentElement;
+    }
+
+    return null
+};
+
+/**
+ * Get the candidate selectors of the element itself, without ancestors, the more stable ones come first.
+ *
+ * @param element {Element}
+ * @return {String[]}
+ * */
+__pulsar_utils__.getSelectorCandidates = function(element) {
+    let tag = this.cssEscape(element.localName);
+    let candidates = [];
+
+    let id = element.getAttribute("id");
+    if (id && this.isStableToken(id)) {
+        candidates.push("#" + this.cssEscape(id));
+    }
+
+    __pulsar_SELECTOR_BUILDER.stableAttributes.forEach(name => {
+        let value = element.getAttribute(name);
+        if (value && value.length <= __pulsar_SELECTOR_BUILDER.maxAttributeLength) {
+            candidates.push(tag + "[" + name + "=" + this.cssQuote(value) + "]");
+        }
+    });
+
+    let classes = Array.from(element.classList || []).filter(c => this.isStableToken(c));
+    if (classes.length > 0) {
+        let escaped = classes.slice(0, 3).map(c => "." + this.cssEscape(c));
+        candidates.push(tag + escaped[0]);
+        if (escaped.length > 1) {
+            candidates.push(tag + escaped.join(""));
+        }
+    }
+
+    candidates.push(tag);
+    return candidates
+};
+
+/**
+ * Get a selector of the element which is unique among its siblings.
+ *
+ * @param element {Element}
+ * @return {String}
+ * */
+__pulsar_utils__.getSiblingUniqueSelector = function(element) {
+    let parent = element.parentNode;
+    let candidates = this.getSelectorCandidates(element);
+    if (!parent) {
+        return candidates[candidates.length - 1]
+    }
+
+    let siblings = Array.from(parent.children);
+    let unique = candidates.find(c => siblings.filter(s => s.matches(c)).length === 1);
+    if (unique) {
+        return unique
+    }
+
+    let tag = candidates[candidates.length - 1];
+    let index = siblings.filter(s => s.localName === element.localName).indexOf(element) + 1;
+    return tag + ":nth-of-type(" + index + ")"
+};
+
+/**
+ * Build an XPath which locates exactly the element in its root node.
+ *
+ * The XPath is absolute if the element is in the document. Otherwise, the element is in a shadow tree or a detached
+ * subtree, and the XPath is relative to the root node, the shadow root or the topmost ancestor, and the uniqueness of
+ * an anchor is counted in the root node rather than in the document.
+ *
+ * @param element {Element}
+ * @param options {Object} Reserved
+ * @return {String|null}
+ * */
+__pulsar_utils__.buildXPath = function(element, options = {}) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+        return null
+    }
+
+    let doc = element.ownerDocument;
+    let root = element.getRootNode();
+    let inDocument = root === doc;
+    // the root of a detached subtree is its topmost element, which is the context node and must be included
+    let anchorAxis = inDocument ? "//" : (root.nodeType === Node.ELEMENT_NODE ? "descendant-or-self::" : ".//");
+    const count = (xpath) => {
+        try {
+            return doc.evaluate("count(" + xpath + ")", root, null, XPathResult.NUMBER_TYPE, null).numberValue
+        } catch (e) {
+            return -1
+        }
+    };
+    const literal = (value) => {
+        if (!value.includes('"')) return '"' + value + '"';
+        if (!value.includes("'")) return "'" + value + "'";
+        return "concat(" + value.split('"').map(part => '"' + part + '"').join(", '\"', ") + ")"
+    };
+    const step = (ele) => {
+        let id = ele.getAttribute("id");
+        if (id && this.isStableToken(id)) {
+            let xpath = anchorAxis + "*[@id=" + literal(id) + "]";
+            if (count(xpath) === 1) return { xpath: xpath, anchored: true };
+        }
+
+        for (let name of __pulsar_SELECTOR_BUILDER.stableAttributes) {
+            let value = ele.getAttribute(name);
+            if (value && value.length <= __pulsar_SELECTOR_BUILDER.maxAttributeLength) {
+                let xpath = anchorAxis + ele.localName + "[@" + name + "=" + literal(value) + "]";
+                if (count(xpath) === 1) return { xpath: xpath, anchored: true };
+            }
+        }
+
+        let siblings = ele.parentNode ? Array.from(ele.parentNode.children).filter(s => s.localName === ele.localName) : [ele];
+        let part = ele.localName.includes(":") ? "*[name()=" + literal(ele.localName) + "]" : ele.localName;
+        return { xpath: siblings.length > 1 ? part + "[" + (siblings.indexOf(ele) + 1) + "]" : part, anchored: false }
+    };
+
+    let parts = [];
+    let current = element;
+    while (true) {
+        let s = step(current);
+        parts.unshift(s.xpath);
+        if (s.anchored) {
+            return parts.join("/")
+        }
+
+        if (!current.parentElement) {
+            break
+        }
+        current = current.parentElement;
+    }
+
+    // the path is absolute if it reaches the document, otherwise it's relative to the shadow root or the topmost element
+    if (inDocument) {
+        return "/" + parts.join("/")
+    }
+    return (root.nodeType === Node.ELEMENT_NODE ? "self::" : "./") + parts.join("/")
+};
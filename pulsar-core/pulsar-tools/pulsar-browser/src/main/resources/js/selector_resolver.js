@@ -0,0 +1,264 @@
+"use strict";
+
+/**
+ * The shared selector resolver of all the selection helpers, it accepts a unified selector syntax:
+ *
+ * - `css=div.price`, or a plain CSS selector without any prefix
+ * - `xpath=//div[@class="price"]`, or an XPath starting with `/` or `(`, the root is the context node, so `.//` selects
+ *   within the root while `//` selects in the whole document
+ * - `text="Add to Cart"` matches the exact text, `text=add to cart` matches a case-insensitive substring and
+ *   `text=/add to (cart|bag)/i` matches a regular expression, the whitespaces are normalized before matching,
+ *   the deepest matching elements are returned
+ * - `role=button[name="Add to Cart"]`, matches the ARIA role and optionally the accessible name, the name is matched
+ *   the same way as the text
+ * - `handle=17`, or the handle itself, matches the element of the handle, see element_handles.js
+ *
+ * Every selection helper takes an optional root to select from, the root is a selector, an element handle or an
+ * element, see resolveRoot(). The helpers can also be scoped by `within(root)`, for example,
+ * `__pulsar_utils__.within("#product-3").selectFirstText(".price")`.
+ * */
+const __pulsar_SELECTOR_RESOLVER = {
+    engines: ["css", "xpath", "text", "role", "handle"],
+    skippedTags: ["script", "style", "noscript", "template", "head", "title", "meta", "link"],
+    /**
+     * The root of the current within() scope, null if not scoped
+     * */
+    scope: null
+};
+
+/**
+ * Parse a unified selector into the engine and the body.
+ *
+ * @param selector {String|Number}
+ * @return {Object} {engine, body}
+ * */
+__pulsar_utils__.parseSelector = function(selector) {
+    if (this.isElementHandle(selector)) {
+        return { engine: "handle", body: String(this.parseHandle(selector)) }
+    }
+    if (typeof selector !== 'string' || selector.trim().length === 0) {
+        throw this.createSelectorSyntaxError('The selector must be a non-empty string');
+    }
+
+    const s = selector.trim();
+    const m = s.match(/^([a-z]+)=/);
+    if (m && __pulsar_SELECTOR_RESOLVER.engines.includes(m[1])) {
+        return { engine: m[1], body: s.substring(m[0].length).trim() }
+    }
+
+    if (s.startsWith("/") || s.startsWith("(")) {
+        return { engine: "xpath", body: s }
+    }
+    return { engine: "css", body: s }
+};
+
+/**
+ * Create an error of a malformed selector, it's named SyntaxError like the error querySelector throws, so the callers
+ * can tell an invalid selector from the other errors.
+ *
+ * @param message {String}
+ * @return {Error}
+ * */
+__pulsar_utils__.createSelectorSyntaxError = function(message) {
+    const error = this.createStacklessError(message);
+    error.name = "SyntaxError";
+    return error
+};
+
+/**
+ * Create a text matcher for the text and the role engines.
+ *
+ * @param pattern {String} `"exact"`, `/regex/flags` or a case-insensitive substring
+ * @return {function(String): boolean}
+ * */
+__pulsar_utils__.createTextMatcher = function(pattern) {
+    const normalize = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+    let m = pattern.match(/^\/(.*)\/([a-z]*)$/s);
+    if (m) {
+        let regex;
+        try {
+            // the global and sticky flags make test() stateful, the matcher is called for many texts
+            regex = new RegExp(m[1], m[2].replace(/[gy]/g, ""));
+        } catch (e) {
+            throw this.createSelectorSyntaxError('Invalid regular expression in selector: ' + pattern);
+        }
+        return (text) => regex.test(normalize(text))
+    }
+
+    m = pattern.match(/^(["'])(.*)\1$/s);
+    if (m) {
+        const expected = normalize(m[2]);
+        return (text) => normalize(text) === expected
+    }
+
+    const expected = normalize(pattern).toLowerCase();
+    return (text) => normalize(text).toLowerCase().includes(expected)
+};
+
+/**
+ * Resolve the root to select from.
+ *
+ * @param root {String|Number|Element|Document|null} A unified selector, an element handle returned by the extraction
+ *             helpers, an element, or null for the scope of within()
+ * @param defaultRoot {Element|Document} The root if neither the root nor the scope is specified
+ * @return {Element|Document|null} The root, or null if the root is not found
+ * */
+__pulsar_utils__.resolveRoot = function(root, defaultRoot = document) {
+    const scope = __pulsar_SELECTOR_RESOLVER.scope || defaultRoot;
+    if (root == null || root === "") {
+        return scope
+    }
+    if (root instanceof Node) {
+        return root
+    }
+    if (this.isElementHandle(root)) {
+        return this.resolveHandle(root)
+    }
+    return this.resolveSelector(String(root), scope)
+};
+
+/**
+ * Scope the helpers to a root, every helper called on the returned object selects within the root.
+ *
+ * ```
+ * __pulsar_utils__.within("#product-list > .card:nth-child(3)").selectFirstText(".price")
+ * __pulsar_utils__.within(17).within(".details").click("text=More")
+ * ```
+ *
+ * @param root {String|Number|Element} A unified selector, an element handle or an element
+ * @return {Object} The scoped helpers, the root is null if it's not found
+ * */
+__pulsar_utils__.within = function(root) {
+    const state = __pulsar_SELECTOR_RESOLVER;
+    const element = this.resolveRoot(root);
+    const utils = this;
+
+    return new Proxy({ root: element }, {
+        get(target, name) {
+            if (name in target) {
+                return target[name]
+            }
+            const fn = utils[name];
+            if (typeof fn !== 'function') {
+                return fn
+            }
+            return function(...args) {
+                const previous = state.scope;
+                // a missing root matches nothing rather than the whole document
+                state.scope = element || document.createDocumentFragment();
+                try {
+                    return fn.apply(utils, args)
+                } finally {
+                    state.scope = previous;
+                }
+            }
+        }
+    })
+};
+
+/**
+ * Resolve all the elements matching the unified selector.
+ *
+ * @param selector {String|Number} The unified selector or an element handle
+ * @param root {String|Number|Element|Document|null} The root to select from, see resolveRoot()
+ * @return {Element[]} The matching elements in document order, empty if the root is not found
+ * */
+__pulsar_utils__.resolveSelectorAll = function(selector, root) {
+    const { engine, body } = this.parseSelector(selector);
+    const skippedTags = __pulsar_SELECTOR_RESOLVER.skippedTags;
+    root = this.resolveRoot(root);
+    if (!root) {
+        return []
+    }
+
+    switch (engine) {
+        case "css":
+            return Array.from(root.querySelectorAll(body));
+        case "xpath": {
+            const doc = root.ownerDocument || root;
+            let result;
+            try {
+                result = doc.evaluate(body, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+            } catch (e) {
+                // a malformed expression, or an expression which does not select nodes, like count(//a)
+                throw this.createSelectorSyntaxError('Invalid XPath selector: ' + body);
+            }
+            let elements = [];
+            for (let i = 0; i < result.snapshotLength; ++i) {
+                let node = result.snapshotItem(i);
+                // text() and @attr selects the owner element
+                if (node.nodeType === Node.ATTRIBUTE_NODE) node = node.ownerElement;
+                else if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+                if (node && !elements.includes(node)) elements.push(node);
+            }
+            return elements
+        }
+        case "text": {
+            const matches = this.createTextMatcher(body);
+            // the elements with their own text are checked, then their ancestors until one matches, so the elements
+            // without any text are never checked, and the text split into several elements is still matched
+            const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_TEXT);
+            const checked = new Set();
+            const candidates = [];
+            for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                if (node.textContent.trim().length === 0) {
+                    continue
+                }
+                for (let e = node.parentElement; e && e !== root && !checked.has(e); e = e.parentElement) {
+                    checked.add(e);
+                    if (skippedTags.includes(e.localName)) {
+                        break
+                    }
+                    if (matches(e.textContent)) {
+                        candidates.push(e);
+                        break
+                    }
+                }
+            }
+            // an ancestor of a matching element matches too, keep the deepest ones
+            const ancestors = new Set();
+            candidates.forEach(e => {
+                for (let p = e.parentElement; p && !ancestors.has(p); p = p.parentElement) ancestors.add(p);
+            });
+            return candidates.filter(e => !ancestors.has(e))
+        }
+        case "handle": {
+            // a stale handle selects nothing
+            const element = this.resolveHandle(body);
+            return element && (root === element || root.contains(element)) ? [element] : []
+        }
+        case "role": {
+            const m = body.match(/^([\w-]+)\s*(?:\[\s*name\s*=\s*(.+?)\s*])?$/s);
+            if (!m) {
+                throw this.createSelectorSyntaxError('Invalid role selector: ' + selector);
+            }
+            const role = m[1].toLowerCase();
+            const matchesName = m[2] ? this.createTextMatcher(m[2]) : null;
+            return Array.from(root.querySelectorAll("*")).filter(e => this.getRole(e) === role
+                && !this.isAccessibilityHidden(e)
+                && (!matchesName || matchesName(this.getAccessibleName(e))))
+        }
+    }
+    return []
+};
+
+/**
+ * Resolve the first element matching the unified selector.
+ *
+ * @param selector {String|Number} The unified selector or an element handle
+ * @param root {String|Number|Element|Document|null} The root to select from, see resolveRoot()
+ * @return {Element|null}
+ * */
+__pulsar_utils__.resolveSelector = function(selector, root) {
+    const { engine, body } = this.parseSelector(selector);
+    root = this.resolveRoot(root);
+    if (!root) {
+        return null
+    }
+    if (engine === "css") {
+        // the fast path
+        return root.querySelector(body)
+    }
+    return this.resolveSelectorAll(selector, root)[0] || null
+};
@@ -0,0 +1,151 @@
+"use strict";
+
+/**
+ * Locate the element to act on by its text.
+ *
+ * Every ancestor of an element with the text has the text too, so only the deepest matches are candidates, and a
+ * candidate is retargeted to its closest interactive ancestor, like the link of a span. The candidates are ranked by:
+ * 1. visible before hidden
+ * 2. interactive before not interactive
+ * 3. the whole text matched before a part of the text matched
+ *
+ * The match is ambiguous if more than one candidate has the best rank.
+ * */
+const __pulsar_TEXT_LOCATOR = {
+    /**
+     * The text match modes:
+     * - exact: the trimmed text equals the pattern
+     * - substring: the text contains the pattern, case-insensitive, whitespace collapsed
+     * - regex: the text matches the regular expression, either a plain string or in the form of /regex/flags
+     * - normalized: the text equals the pattern, whitespace collapsed in both
+     * */
+    modes: ["exact", "substring", "regex", "normalized"],
+    /**
+     * The number of candidates reported if the match is ambiguous
+     * */
+    maxCandidates: 10,
+    /**
+     * The maximum length of the text in a descriptor
+     * */
+    maxTextLength: 100
+};
+
+/**
+ * Create a matcher of the text match mode.
+ *
+ * @param pattern {String}
+ * @param mode {String} One of __pulsar_TEXT_LOCATOR.modes
+ * @return {function(String): Number} The match level of a text: 0 if not matched, 1 if a part of the text matched,
+ *                                    2 if the whole text matched
+ * */
+__pulsar_utils__.createTextModeMatcher = function(pattern, mode = "regex") {
+    const normalize = (text) => (text || "").replace(/\s+/g, " ").trim();
+    switch (mode) {
+        case "exact":
+            return (text) => (text || "").trim() === pattern ? 2 : 0;
+        case "normalized": {
+            const expected = normalize(pattern);
+            return (text) => normalize(text) === expected ? 2 : 0
+        }
+        case "substring": {
+            const expected = normalize(pattern).toLowerCase();
+            return (text) => {
+                const actual = normalize(text).toLowerCase();
+                return actual === expected ? 2 : (actual.includes(expected) ? 1 : 0)
+            }
+        }
+        case "regex": {
+            const m = pattern.match(/^\/(.*)\/([a-z]*)$/s);
+            let regex;
+            try {
+                regex = m ? new RegExp(m[1], m[2]) : new RegExp(pattern);
+            } catch (e) {
+                throw this.createStacklessError('Invalid regular expression: ' + pattern);
+            }
+            return (text) => {
+                const match = (text || "").match(regex);
+                return !match ? 0 : (match[0] === (text || "").trim() ? 2 : 1)
+            }
+        }
+    }
+    throw this.createStacklessError(`Unknown text match mode "${mode}", expect one of `
+        + __pulsar_TEXT_LOCATOR.modes.join(", "));
+};
+
+/**
+ * Find the elements by text and rank them, see __pulsar_TEXT_LOCATOR.
+ *
+ * @param selector {String} The unified selector of the elements to search in, for example, `*` or `a`
+ * @param pattern {String}
+ * @param root {String|Number|Element} [root] The root to select from, a selector or an element handle
+ * @param options {Object} {mode: one of __pulsar_TEXT_LOCATOR.modes, "regex" by default}
+ * @return {Object[]} The candidates {element, visible, interactive, level, rank}, the best first
+ * */
+__pulsar_utils__.rankTextMatches = function(selector, pattern, root, options = {}) {
+    const matches = this.createTextModeMatcher(String(pattern), options.mode);
+    const skippedTags = __pulsar_SELECTOR_RESOLVER.skippedTags;
+    const scope = this.resolveRoot(root);
+    const elements = this.resolveSelectorAll(selector, root)
+        .filter(e => e instanceof HTMLElement && !skippedTags.includes(e.localName) && e !== document.body);
+
+    let levels = new Map();
+    elements.forEach(e => {
+        const level = matches(e.textContent);
+        if (level > 0) levels.set(e, level);
+    });
+
+    // drop the matches which contain another match
+    let ancestors = new Set();
+    levels.forEach((level, e) => {
+        for (let p = e.parentElement; p && !ancestors.has(p); p = p.parentElement) {
+            ancestors.add(p);
+        }
+    });
+
+    let candidates = new Map();
+    levels.forEach((level, e) => {
+        if (ancestors.has(e)) {
+            return;
+        }
+
+        let target = e;
+        let interactive = false;
+        for (let p = e; p && p !== scope && p !== document.body; p = p.parentElement) {
+            if (this.getInteractiveReason(p, this.getRole(p))) {
+                target = p;
+                interactive = true;
+                break;
+            }
+        }
+
+        const known = candidates.get(target);
+        if (!known || known.level < level) {
+            const visible = this.isElementVisible(target);
+            const rank = (visible ? 4 : 0) + (interactive ? 2 : 0) + (level === 2 ? 1 : 0);
+            candidates.set(target, { element: target, visible, interactive, level, rank });
+        }
+    });
+
+    // Array.prototype.sort is stable, the candidates of the same rank are in document order
+    return Array.from(candidates.values()).sort((a, b) => b.rank - a.rank)
+};
+
+/**
+ * Describe an element located by text.
+ *
+ * @param element {Element}
+ * @return {Object} {selector, text, rect}
+ * */
+__pulsar_utils__.describeTextMatch = function(element) {
+    const rect = element.getBoundingClientRect();
+    return {
+        selector: this.buildSelector(element),
+        text: this.getTextContent(element).substring(0, __pulsar_TEXT_LOCATOR.maxTextLength),
+        rect: {
+            x: Math.round(rect.x),
+            y: Math.round(rect.y),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+        }
+    }
+};
@@ -0,0 +1,352 @@
+"use strict";
+
+/**
+ * Parse the text of an element into a typed value: a currency amount, a percentage, a range, a date, a rating or a
+ * plain number.
+ *
+ * The decimal separator is decided by the separators in the text if both "," and "." occur, then by the digit
+ * grouping, as a group of thousands has exactly three digits after one to three leading digits, and by the locale if
+ * the grouping is ambiguous, so "1,234 €" is 1234 on an English page, but 1.234 on a German page. The locale is the
+ * given one or the lang attribute of the page. If neither is known, the currency of an amount decides an ambiguous
+ * grouping, and the browser language decides the others.
+ *
+ * An amount in a currency without a minor unit, like JPY, must be an integer, so "¥1,000.5" is not a yen amount.
+ * */
+const __pulsar_TYPED_VALUE = {
+    /**
+     * The currency symbols, the longer symbols come first so "US$" wins over "$"
+     * */
+    currencySymbols: [
+        ["US$", "USD"], ["HK$", "HKD"], ["NT$", "TWD"], ["C$", "CAD"], ["A$", "AUD"], ["R$", "BRL"], ["RMB", "CNY"],
+        ["$", "USD"], ["€", "EUR"], ["£", "GBP"], ["₹", "INR"], ["₩", "KRW"], ["₽", "RUB"], ["₺", "TRY"], ["元", "CNY"],
+        ["￥", null], ["¥", null]
+    ],
+    currencyCodes: ["USD", "EUR", "GBP", "JPY", "CNY", "HKD", "TWD", "CAD", "AUD", "BRL", "INR", "KRW", "RUB", "TRY",
+        "CHF", "SEK", "NOK", "DKK", "PLN", "MXN", "SGD", "NZD", "ZAR"],
+    /**
+     * The currencies whose amounts are conventionally written with a decimal comma, like 1.234,56 €
+     * */
+    decimalCommaCurrencies: ["EUR", "BRL", "RUB", "TRY", "SEK", "NOK", "DKK", "PLN"],
+    /**
+     * The currencies without a minor unit, the separator of an amount is always a thousands separator
+     * */
+    integerCurrencies: ["JPY", "KRW"],
+    /**
+     * The scales of a rating in the form of "4.5/5" or "8 of 10", so a fraction like 1/2 is not a rating
+     * */
+    ratingScales: [5, 10, 100],
+    months: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
+    number: "[+-]?\\d[\\d.,'\\s]*\\d|[+-]?\\d"
+};
+
+/**
+ * Parse a number in the text, the thousands separators are removed and the decimal separator is normalized.
+ *
+ * @param text {String} The number text, for example, 3,412.25, 1.234,56 or 1 234,56
+ * @param locale {String|null} The locale, null if it is unknown
+ * @param currency {String} [currency] The currency code if the number is an amount, it decides if the locale is unknown
+ * @return {Number|null}
+ * */
+__pulsar_utils__.parseLocaleNumber = function(text, locale, currency) {
+    let s = String(text).trim().replace(/[\s  ']/g, "");
+    if (!/^[+-]?\d[\d.,]*$/.test(s)) {
+        return null
+    }
+
+    const lastComma = s.lastIndexOf(",");
+    const lastDot = s.lastIndexOf(".");
+    let decimal;
+    if (lastComma >= 0 && lastDot >= 0) {
+        decimal = lastComma > lastDot ? "," : ".";
+    } else if (lastComma < 0 && lastDot < 0) {
+        decimal = null;
+    } else {
+        const separator = lastComma >= 0 ? "," : ".";
+        const occurrences = s.split(separator).length - 1;
+        const fraction = s.length - s.lastIndexOf(separator) - 1;
+        if (occurrences > 1) {
+            // 1,234,567 or 1.234.567
+            decimal = null;
+        } else if (fraction !== 3) {
+            decimal = separator;
+        } else if (/^[+-]?(0|\d{4,})[.,]/.test(s)) {
+            // 0,125 or 1234,567, the leading digits are never a group of thousands
+            decimal = separator;
+        } else {
+            // 1,234 or 1.234, it's ambiguous, the locale decides, or the currency if the locale is unknown
+            const expected = !locale && currency ? this.getCurrencyDecimalSeparator(currency)
+                : this.getLocaleDecimalSeparator(locale);
+            decimal = expected === separator ? separator : null;
+        }
+    }
+
+    let normalized = decimal === null ? s.replace(/[.,]/g, "")
+        : s.split(decimal).map(part => part.replace(/[.,]/g, "")).join(".");
+    const value = Number(normalized);
+    return isNaN(value) ? null : value
+};
+
+/**
+ * Get the decimal separator of the locale.
+ *
+ * @param locale {String|null} The locale, the browser language if null
+ * @return {String} "." or ","
+ * */
+__pulsar_utils__.getLocaleDecimalSeparator = function(locale) {
+    try {
+        const part = new Intl.NumberFormat(locale || undefined).formatToParts(1.5).find(p => p.type === "decimal");
+        return part ? part.value : "."
+    } catch (e) {
+        return "."
+    }
+};
+
+/**
+ * Get the decimal separator of the amounts of the currency.
+ *
+ * @param currency {String} The currency code
+ * @return {String|null} "." or ",", or null if the currency has no minor unit
+ * */
+__pulsar_utils__.getCurrencyDecimalSeparator = function(currency) {
+    const tv = __pulsar_TYPED_VALUE;
+    if (tv.integerCurrencies.includes(currency)) {
+        return null
+    }
+    return tv.decimalCommaCurrencies.includes(currency) ? "," : "."
+};
+
+/**
+ * Parse the text into a typed value.
+ *
+ * The result is one of:
+ * - {type: "currency", value, currency, text}
+ * - {type: "percent", value, ratio, text}
+ * - {type: "range", min, max, currency, text}, the currency is null for plain numbers
+ * - {type: "date", value, text}, the value is an ISO 8601 date, with the time if present
+ * - {type: "rating", value, scale, text}
+ * - {type: "number", value, text}
+ * - {type: "text", value, text} if the text is not recognized
+ *
+ * @param text {String}
+ * @param options {Object} {locale: the lang of the page by default, the browser language if the page has no lang}
+ * @return {Object}
+ * */
+__pulsar_utils__.parseTypedValue = function(text, options = {}) {
+    const raw = text == null ? "" : String(text);
+    const s = raw.replace(/[\s  ]+/g, " ").trim();
+    const locale = options.locale || document.documentElement.lang || null;
+
+    const typed = this.parseRating(s, locale)
+        || this.parsePercent(s, locale)
+        || this.parseDate(s, locale)
+        || this.parseRange(s, locale)
+        || this.parseCurrency(s, locale);
+    if (typed) {
+        typed.text = s;
+        return typed
+    }
+
+    const value = this.parseLocaleNumber(s, locale);
+    if (value !== null) {
+        return { type: "number", value: value, text: s }
+    }
+
+    return { type: "text", value: s, text: s }
+};
+
+/**
+ * Parse a currency amount, for example, $12.99, ￥3,412.25, 1.234,56 €, EUR 10 or 99元.
+ *
+ * @param s {String}
+ * @param locale {String|null}
+ * @return {Object|null} {type: "currency", value, currency}
+ * */
+__pulsar_utils__.parseCurrency = function(s, locale) {
+    const tv = __pulsar_TYPED_VALUE;
+    const escape = (symbol) => symbol.replace(/[$]/g, "\\$");
+    const symbols = tv.currencySymbols.map(([symbol]) => escape(symbol)).concat(tv.currencyCodes).join("|");
+    const pattern = new RegExp(`^(?:(${symbols})\\s?(${tv.number})|(${tv.number})\\s?(${symbols}))$`);
+    const m = s.match(pattern);
+    if (!m) {
+        return null
+    }
+
+    const symbol = m[1] || m[4];
+    let currency = tv.currencyCodes.includes(symbol) ? symbol : tv.currencySymbols.find(([sym]) => sym === symbol)[1];
+    if (currency === null) {
+        // ¥ is used by both Japanese yen and Chinese yuan
+        currency = String(locale || navigator.language).toLowerCase().startsWith("ja") ? "JPY" : "CNY";
+    }
+
+    const value = this.parseLocaleNumber(m[2] || m[3], locale, currency);
+    if (value === null || (tv.integerCurrencies.includes(currency) && !Number.isInteger(value))) {
+        return null
+    }
+    return { type: "currency", value: value, currency: currency }
+};
+
+/**
+ * Parse a percentage, for example, 12.5%, -3 % or 45,5 %.
+ *
+ * @param s {String}
+ * @param locale {String|null}
+ * @return {Object|null} {type: "percent", value, ratio}
+ * */
+__pulsar_utils__.parsePercent = function(s, locale) {
+    const m = s.match(new RegExp(`^(${__pulsar_TYPED_VALUE.number})\\s?[%％]$`));
+    if (!m) {
+        return null
+    }
+
+    const value = this.parseLocaleNumber(m[1], locale);
+    if (value === null) {
+        return null
+    }
+    return { type: "percent", value: value, ratio: Math.round(value * 1e6) / 1e8 }
+};
+
+/**
+ * Parse a range of numbers or currency amounts, for example, $10 - $20, 10–20 or 5 to 10.
+ *
+ * Two integers joined by a bare hyphen are a range only if they are in ascending order, without a leading zero, and
+ * the upper bound has the same number of digits or at most three, so a phone number like 555-1234, a zip code like
+ * 12345-6789 or a month like 2024-01 is not a range.
+ *
+ * @param s {String}
+ * @param locale {String|null}
+ * @return {Object|null} {type: "range", min, max, currency}
+ * */
+__pulsar_utils__.parseRange = function(s, locale) {
+    let parts = s.split(/\s*(?:\s-\s|[–—~～]|\bto\b)\s*/);
+    const hyphenated = parts.length === 1;
+    if (hyphenated) {
+        parts = s.split(/(?<=\d)-(?=\d|[^\d\s])/);
+    }
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+        return null
+    }
+
+    if (hyphenated && parts.every(part => /^\d+$/.test(part))) {
+        const [low, high] = parts;
+        const ascending = Number(low) <= Number(high);
+        if (!ascending || parts.some(part => /^0\d/.test(part)) || (high.length !== low.length && high.length > 3)) {
+            return null
+        }
+    }
+
+    const parse = (part) => {
+        const currency = this.parseCurrency(part, locale);
+        if (currency) return currency;
+        const value = this.parseLocaleNumber(part, locale);
+        return value === null ? null : { type: "number", value: value, currency: null }
+    };
+    const low = parse(parts[0]);
+    const high = parse(parts[1]);
+    if (!low || !high || (low.currency && high.currency && low.currency !== high.currency)) {
+        return null
+    }
+
+    return {
+        type: "range",
+        min: Math.min(low.value, high.value),
+        max: Math.max(low.value, high.value),
+        currency: low.currency || high.currency || null
+    }
+};
+
+/**
+ * Parse a date, for example, 2024-01-31, 2024/1/31, 2024年1月31日, Jan 31, 2024, 31 January 2024, 31.01.2024 or
+ * 01/31/2024, a numeric date with the day and the month both less than 13 is read in the order of the locale.
+ *
+ * @param s {String}
+ * @param locale {String|null}
+ * @return {Object|null} {type: "date", value}
+ * */
+__pulsar_utils__.parseDate = function(s, locale) {
+    const months = __pulsar_TYPED_VALUE.months;
+    const pad = (n) => String(n).padStart(2, "0");
+    const format = (y, m, d, time) => {
+        y = Number(y); m = Number(m); d = Number(d);
+        if (y < 100) y += 2000;
+        const date = new Date(Date.UTC(y, m - 1, d));
+        if (m < 1 || m > 12 || date.getUTCDate() !== d) {
+            return null
+        }
+        const value = `${y}-${pad(m)}-${pad(d)}` + (time ? "T" + time : "");
+        return { type: "date", value: value }
+    };
+    const month = (name) => months.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+
+    let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ](\d{2}:\d{2}(?::\d{2})?))?/);
+    if (m) return format(m[1], m[2], m[3], m[4]);
+
+    m = s.match(/^(\d{4})年(\d{1,2})月(\d{1,2})日/);
+    if (m) return format(m[1], m[2], m[3]);
+
+    m = s.match(/^([A-Za-z]{3,9})\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})$/);
+    if (m && month(m[1]) > 0) return format(m[3], month(m[1]), m[2]);
+
+    m = s.match(/^(\d{1,2})(?:st|nd|rd|th)? ([A-Za-z]{3,9})\.?,? (\d{4})$/);
+    if (m && month(m[2]) > 0) return format(m[3], month(m[2]), m[1]);
+
+    m = s.match(/^(\d{1,2})([/.])(\d{1,2})\2(\d{4}|\d{2})$/);
+    if (m) {
+        let [a, b] = [Number(m[1]), Number(m[3])];
+        // the dot form is always day first, the slash form is month first in the US
+        const monthFirst = m[2] === "/" && /^en-us$|^en$/i.test(locale || navigator.language) || a <= 12 && b > 12;
+        const dayFirst = a > 12;
+        return monthFirst && !dayFirst ? format(m[4], a, b) : format(m[4], b, a);
+    }
+
+    return null
+};
+
+/**
+ * Parse a rating, for example, 4.5 out of 5 stars, 4.5/5, Rated 4 of 5 or ★★★★☆.
+ *
+ * @param s {String}
+ * @param locale {String|null}
+ * @return {Object|null} {type: "rating", value, scale}
+ * */
+__pulsar_utils__.parseRating = function(s, locale) {
+    let m = s.match(/^[★☆]+$/);
+    if (m) {
+        return { type: "rating", value: s.split("★").length - 1, scale: s.length }
+    }
+
+    let value, scale;
+    m = s.match(/^(rated\s)?(\d+(?:[.,]\d+)?)\s?(?:out of|of|\/)\s?(\d+)(\s?stars?)?$/i);
+    if (m) {
+        value = Number(m[2].replace(",", "."));
+        scale = Number(m[3]);
+        // 1/2 or 3 of 4 is a fraction or a position rather than a rating, unless it says so
+        if (!m[1] && !m[4] && !__pulsar_TYPED_VALUE.ratingScales.includes(scale)) {
+            return null
+        }
+    } else {
+        m = s.match(/^(\d+(?:[.,]\d+)?)\s?(?:stars?|星)$/i);
+        if (!m) {
+            return null
+        }
+        value = Number(m[1].replace(",", "."));
+        scale = 5;
+    }
+
+    if (isNaN(value) || value > scale) {
+        return null
+    }
+    return { type: "rating", value: value, scale: scale }
+};
+
+/**
+ * Select all the matching elements and parse their texts into typed values.
+ *
+ * @param selector {String}
+ * @param options {Object} {locale, root: a selector, an element handle or an element}
+ * @return {String} The typed values in json format
+ * */
+__pulsar_utils__.selectTypedAll = function(selector, options = {}) {
+    let elements = this.resolveSelectorAll(selector, options.root)
+    let values = Array.from(elements).map(e => this.parseTypedValue(e.textContent, options))
+    return JSON.stringify(values, null, 2)
+};
@@ -22,6 +22,10 @@ class ActiveUrls {
 }
 
 class ActiveDomMessage {
+    /**
+     * The page state protocol version, see page_state_protocol.js
+     * */
+    version = 1;
     multiStatus = new MultiStatus();
     urls = new ActiveUrls()
 }
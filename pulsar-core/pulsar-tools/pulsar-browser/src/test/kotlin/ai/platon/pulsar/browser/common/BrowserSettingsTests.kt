@@ -57,6 +57,20 @@ class BrowserSettingsTests {
         assertEquals(settings.toString(), settings2.toString())
     }
 
+    @Test
+    fun testReadinessOptionsJson() {
+        val settings = InteractSettings()
+        settings.readinessOptions["strategy"] = "selector-present"
+        settings.readinessOptions["selector"] = "#results"
+
+        val settings2: InteractSettings = pulsarObjectMapper().readValue(settings.toJson())
+        assertEquals("selector-present", settings2.readinessOptions["strategy"])
+        assertEquals("#results", settings2.readinessOptions["selector"])
+        // the options are passed to the injected script as a javascript object literal
+        assertEquals("""{"strategy":"selector-present","selector":"#results"}""",
+            pulsarObjectMapper().writeValueAsString(settings2.readinessOptions))
+    }
+
     @Test
     fun testOverrideConfiguration() {
         val settings = InteractSettings()
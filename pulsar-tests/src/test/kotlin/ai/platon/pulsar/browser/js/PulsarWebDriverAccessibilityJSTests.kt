@@ -0,0 +1,84 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.ResourceLoader
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test accessibility.js with the axe-core fixtures in pulsar-tests-common: static/assets/axe-core
+ * */
+class PulsarWebDriverAccessibilityJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test getImplicitRole with axe-core fixtures`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val fixtures = ResourceLoader.readString("static/assets/axe-core/implicit-role.js")
+            .replace("module.exports =", "const fixtures =")
+        val expression = """
+            (() => {
+                $fixtures
+                const container = document.createElement('div');
+                document.body.appendChild(container);
+                const mismatches = fixtures.filter(f => {
+                    container.innerHTML = f.html;
+                    return __pulsar_utils__.getImplicitRole(container.querySelector(f.target)) !== f.role;
+                }).map(f => f.html);
+                container.remove();
+                return JSON.stringify(mismatches);
+            })()
+        """.trimIndent()
+
+        val mismatches = driver.evaluateValue(expression)
+        assertEquals("[]", mismatches, "The implicit roles should match the axe-core fixtures")
+    }
+
+    @Test
+    fun `test getAccessibleName with axe-core fixtures`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val fixtures = ResourceLoader.readString("static/assets/axe-core/accessible-text.js")
+            .replace("module.exports =", "const fixtures =")
+        // a fixture may have several targets, and a template[shadow] is the content of an open shadow root
+        val expression = """
+            (() => {
+                $fixtures
+                const attachShadows = (root) => root.querySelectorAll('template[shadow]').forEach(template => {
+                    const shadowRoot = template.parentElement.attachShadow({ mode: 'open' });
+                    shadowRoot.appendChild(template.content.cloneNode(true));
+                    template.remove();
+                    attachShadows(shadowRoot);
+                });
+                const find = (root, selector) => root.querySelector(selector)
+                    || Array.from(root.querySelectorAll('*')).filter(e => e.shadowRoot)
+                        .map(e => find(e.shadowRoot, selector)).find(e => e) || null;
+                const container = document.createElement('div');
+                document.body.appendChild(container);
+                const mismatches = [];
+                fixtures.forEach(f => {
+                    container.innerHTML = f.html;
+                    attachShadows(container);
+                    const texts = [].concat(f.accessibleText);
+                    [].concat(f.target).forEach((target, i) => {
+                        const element = find(container, target);
+                        let name;
+                        try {
+                            name = element ? __pulsar_utils__.getAccessibleName(element) : 'NOT FOUND';
+                        } catch (e) {
+                            name = 'ERROR: ' + e.message;
+                        }
+                        if (name !== texts[i]) mismatches.push({ html: f.html, target, expected: texts[i], name });
+                    });
+                });
+                container.remove();
+                return JSON.stringify(mismatches);
+            })()
+        """.trimIndent()
+
+        val mismatches = driver.evaluateValue(expression)
+        printlnPro(mismatches)
+        assertEquals("[]", mismatches, "The accessible names should match the axe-core fixtures")
+    }
+}
@@ -0,0 +1,148 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import ai.platon.pulsar.skeleton.crawl.fetch.driver.ElementNotActionableException
+import kotlin.test.*
+
+/**
+ * Test actionability.js
+ * */
+class PulsarWebDriverActionabilityJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test actions report why an element is not actionable`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                const u = __pulsar_utils__;
+                const container = document.createElement("div");
+                container.innerHTML = '<button id="gate-ok">OK</button><button id="gate-disabled" disabled>Off</button>' +
+                    '<button id="gate-hidden" style="display: none">Hidden</button>' +
+                    '<button id="gate-covered">Covered</button><input id="gate-checkbox" type="checkbox">';
+                document.body.prepend(container);
+                const covered = document.getElementById("gate-covered");
+                const rect = covered.getBoundingClientRect();
+                const modal = document.createElement("div");
+                modal.id = "gate-modal";
+                modal.style.cssText = `position: fixed; left: ${'$'}{rect.left}px; top: ${'$'}{rect.top}px; ` +
+                    `width: ${'$'}{rect.width}px; height: ${'$'}{rect.height}px; z-index: 9999`;
+                document.body.appendChild(modal);
+
+                const ok = await u.click("#gate-ok");
+                const missing = await u.click("#gate-missing");
+                const disabled = await u.click("#gate-disabled");
+                const hidden = await u.click("#gate-hidden");
+                const coveredResult = await u.click("#gate-covered");
+                const check = await u.check("#gate-checkbox");
+                const checked = document.getElementById("gate-checkbox").checked;
+                container.remove();
+                modal.remove();
+                return JSON.stringify({ ok, missing, disabled, hidden, covered: coveredResult, check, checked });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"ok\":{\"ok\":true}"), result)
+        assertTrue(result.contains("\"reason\":\"not-found\""), result)
+        assertTrue(result.contains("\"reason\":\"not-enabled\""), result)
+        assertTrue(result.contains("\"reason\":\"not-visible\""), result)
+        assertTrue(result.contains("\"reason\":\"not-receiving-events\""), result)
+        assertTrue(result.contains("\"occludedBy\":\"#gate-modal\""), result)
+        assertTrue(result.contains("\"checked\":true"), result)
+    }
+
+    @Test
+    fun `test driver actions report non-actionable elements`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        driver.evaluate("""document.body.insertAdjacentHTML("afterbegin", '<input id="gate-on" type="checkbox">' +
+            '<input id="gate-off" type="checkbox" disabled><a href="#a" id="gate-a">Twin</a><a href="#b">Twin</a>')""")
+
+        driver.check("#gate-on")
+        assertEquals(true, driver.evaluateValue("document.getElementById('gate-on').checked"))
+        // a missing element is not a failure
+        driver.check("#gate-missing")
+
+        val disabled = assertFailsWith<ElementNotActionableException> { driver.check("#gate-off") }
+        assertEquals("not-enabled", disabled.reason)
+
+        val ambiguous = assertFailsWith<ElementNotActionableException> { driver.clickTextMatches("a", "Twin") }
+        assertEquals("ambiguous", ambiguous.reason)
+        assertEquals(2, (ambiguous.details["candidates"] as List<*>).size)
+    }
+
+    @Test
+    fun `test actions wait for the element to become actionable`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                const u = __pulsar_utils__;
+                document.body.insertAdjacentHTML("afterbegin", '<button id="gate-later" disabled>Later</button>');
+                const button = document.getElementById("gate-later");
+                let clicks = 0;
+                button.addEventListener("click", () => ++clicks);
+                try {
+                    // no wait by default
+                    const immediate = await u.click("#gate-later");
+                    setTimeout(() => button.disabled = false, 200);
+                    const waited = await u.click("#gate-later", null, { timeout: 5000 });
+                    return JSON.stringify({ immediate: immediate.reason, waited, clicks });
+                } finally {
+                    button.remove();
+                }
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertEquals("""{"immediate":"not-enabled","waited":{"ok":true},"clicks":1}""", result)
+    }
+
+    @Test
+    fun `test actions stop waiting for a detached element`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                const u = __pulsar_utils__;
+                document.body.insertAdjacentHTML("afterbegin", '<button id="gate-gone" style="display: none">Gone</button>');
+                const button = document.getElementById("gate-gone");
+                setTimeout(() => button.remove(), 200);
+                const start = Date.now();
+                const failure = await u.click("#gate-gone", null, { timeout: 10000 });
+                return JSON.stringify({ reason: failure.reason, early: Date.now() - start < 5000 });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"reason":"not-attached","early":true}""", result)
+    }
+
+    @Test
+    fun `test force skips the actionability checks`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                const u = __pulsar_utils__;
+                document.body.insertAdjacentHTML("afterbegin",
+                    '<input id="gate-forced" type="checkbox" checked style="visibility: hidden">');
+                try {
+                    const checked = await u.uncheck("#gate-forced");
+                    const forced = await u.uncheck("#gate-forced", null, { force: true });
+                    return JSON.stringify({
+                        checked: checked.reason, forced, state: document.getElementById("gate-forced").checked
+                    });
+                } finally {
+                    document.getElementById("gate-forced").remove();
+                }
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"checked":"not-visible","forced":{"ok":true},"state":false}""", result)
+    }
+}
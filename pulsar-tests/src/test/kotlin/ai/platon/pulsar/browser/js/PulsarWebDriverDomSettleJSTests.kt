@@ -0,0 +1,139 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.ResourceLoader
+import ai.platon.pulsar.common.printlnPro
+import ai.platon.pulsar.skeleton.crawl.fetch.driver.WebDriver
+import kotlin.test.*
+
+/**
+ * Test dom_settle.js, which is installed on demand rather than preloaded.
+ * */
+class PulsarWebDriverDomSettleJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    private suspend fun install(driver: WebDriver) {
+        assertEquals(1, driver.evaluateValue(ResourceLoader.readString("js/dom_settle.js")))
+    }
+
+    private suspend fun waitForSettled(driver: WebDriver, options: String): Map<*, *> {
+        val report = driver.evaluateAwait("window.__pulsar_WaitForSettled($options)")
+        printlnPro(report)
+        assertTrue(report is Map<*, *>, "$report")
+        return report
+    }
+
+    @Test
+    fun `test configure a profile that observes attributes`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        install(driver)
+
+        val profile = driver.evaluateAwait(
+            "window.__pulsar_ConfigureDomSettle({attributes: true, ignoreSelectors: ['#ticker']})")
+        assertTrue(profile is Map<*, *>, "$profile")
+        assertEquals(true, profile["attributes"])
+        // the missing fields are taken from the default profile
+        assertEquals(false, profile["viewportOnly"])
+        assertTrue((profile["attributeFilter"] as List<*>).contains("aria-busy"))
+
+        driver.evaluateAwait("""
+            (async () => {
+                document.body.insertAdjacentHTML('beforeend', '<div id="ticker">0</div><div id="result" hidden></div>');
+                document.getElementById('ticker').textContent = '1';
+                document.getElementById('result').removeAttribute('hidden');
+                await new Promise(resolve => setTimeout(resolve, 50));
+            })()
+        """.trimIndent())
+
+        val report = driver.evaluateAwait("window.__pulsar_GetDomSettleReport()")
+        printlnPro(report)
+        assertTrue(report is Map<*, *>, "$report")
+        val counts = report["counts"] as Map<*, *>
+        assertTrue((counts["attributes"] as Number).toInt() > 0, "$report")
+        assertTrue((counts["ignored"] as Number).toInt() > 0, "$report")
+        assertEquals(1, ((report["attributeNames"] as Map<*, *>)["hidden"] as Number).toInt(), "$report")
+        assertEquals("div#result", report["lastMutatedSelector"])
+    }
+
+    @Test
+    fun `test the default profile ignores attributes`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        install(driver)
+        driver.evaluateAwait("window.__pulsar_ConfigureDomSettle()")
+
+        driver.evaluateAwait("""
+            (async () => {
+                document.body.setAttribute('data-state', 'busy');
+                await new Promise(resolve => setTimeout(resolve, 50));
+            })()
+        """.trimIndent())
+
+        val report = driver.evaluateAwait("window.__pulsar_GetDomSettleReport()")
+        assertTrue(report is Map<*, *>, "$report")
+        assertEquals(0, ((report["counts"] as Map<*, *>)["attributes"] as Number).toInt(), "$report")
+    }
+
+    @Test
+    fun `test WaitForSettled resolves quiet with the selector present`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        install(driver)
+        driver.evaluate("""
+            setTimeout(() => document.body.insertAdjacentHTML('beforeend', '<p id="late">late</p>'), 200)
+        """.trimIndent())
+
+        val report = waitForSettled(driver, "{quietMs: 300, timeoutMs: 5000, selector: '#late'}")
+        assertEquals("quiet", report["reason"])
+        assertEquals(true, report["selectorPresent"])
+        assertTrue((report["mutations"] as Number).toInt() > 0, "$report")
+    }
+
+    @Test
+    fun `test WaitForSettled resolves timeout if the DOM keeps changing`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        install(driver)
+        driver.evaluate("""
+            window.__pulsar_TestTicker = setInterval(() => {
+                document.body.insertAdjacentHTML('beforeend', '<i>tick</i>');
+            }, 50)
+        """.trimIndent())
+
+        try {
+            val report = waitForSettled(driver, "{quietMs: 500, timeoutMs: 1000}")
+            assertEquals("timeout", report["reason"])
+            assertNull(report["selectorPresent"])
+            assertNotNull(report["lastMutatedSelector"])
+
+            val missing = waitForSettled(driver, "{quietMs: 0, timeoutMs: 300, selector: '#not-exist'}")
+            assertEquals("timeout", missing["reason"])
+            assertEquals(false, missing["selectorPresent"])
+        } finally {
+            driver.evaluate("clearInterval(window.__pulsar_TestTicker)")
+        }
+    }
+
+    @Test
+    fun `test WaitForSettled resolves invalid-selector rather than rejecting`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        install(driver)
+
+        val report = waitForSettled(driver, "{quietMs: 100, timeoutMs: 1000, selector: 'div['}")
+        assertEquals("invalid-selector", report["reason"])
+
+        // a non-positive timeout checks once, and still never rejects
+        val immediate = waitForSettled(driver, "{quietMs: 100, timeoutMs: 0, selector: 'div['}")
+        assertEquals("invalid-selector", immediate["reason"])
+    }
+
+    @Test
+    fun `test WaitForSettled resolves navigation on a history change`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        install(driver)
+        driver.evaluate("""setTimeout(() => history.pushState({}, '', '#route-changed'), 100)""")
+
+        val report = waitForSettled(driver, "{quietMs: 5000, timeoutMs: 10000}")
+        assertEquals("navigation", report["reason"])
+        assertTrue((report["elapsed"] as Number).toLong() < 5000, "$report")
+        // the hooked function still looks native
+        val source = driver.evaluateValue("history.pushState.toString()")?.toString()
+        assertNotNull(source)
+        assertTrue(source.contains("[native code]"), source)
+    }
+}
@@ -0,0 +1,132 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test element_handles.js
+ * */
+class PulsarWebDriverElementHandlesJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test element handles select a live element`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const handle = u.extract({ title: { selector: "h1", handle: true } }).title.handle;
+                return JSON.stringify({
+                    live: u.getHandleState(handle),
+                    text: u.selectFirstText(handle),
+                    prefixed: u.selectFirstText("handle=" + handle),
+                    hasRect: u.queryClientRect("handle=" + handle) != null
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"live\":\"live\""), result)
+        assertTrue(result.contains("\"text\":\"Dynamic Content Test Page\""), result)
+        assertTrue(result.contains("\"prefixed\":\"Dynamic Content Test Page\""), result)
+        assertTrue(result.contains("\"hasRect\":true"), result)
+    }
+
+    @Test
+    fun `test element handles report stale elements`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                const u = __pulsar_utils__;
+                const h1 = document.querySelector("h1");
+                const handle = u.getElementHandle(h1);
+
+                const placeholder = document.createComment("h1");
+                h1.replaceWith(placeholder);
+                try {
+                    return JSON.stringify({
+                        state: u.getHandleState(handle),
+                        text: u.selectFirstText(handle),
+                        title: u.extract({ title: "handle=" + handle }).title,
+                        within: u.selectFirstText("span", handle),
+                        click: await u.click(handle)
+                    });
+                } finally {
+                    placeholder.replaceWith(h1);
+                }
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        // the read helpers select nothing rather than throwing
+        assertTrue(result.contains("\"state\":\"stale\""), result)
+        assertTrue(result.contains("\"text\":null"), result)
+        assertTrue(result.contains("\"title\":null"), result)
+        assertTrue(result.contains("\"within\":null"), result)
+        // the actions report the stale handle
+        assertTrue(result.contains("\"ok\":false,\"reason\":\"stale-handle\""), result)
+        assertTrue(result.contains("Stale element handle"), result)
+    }
+
+    @Test
+    fun `test element handles report unknown handles`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                const u = __pulsar_utils__;
+                return JSON.stringify({
+                    state: u.getHandleState(2147483647),
+                    text: u.selectFirstText(2147483647),
+                    click: await u.click("handle=2147483647")
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"state\":\"unknown\""), result)
+        assertTrue(result.contains("\"text\":null"), result)
+        assertTrue(result.contains("\"ok\":false,\"reason\":\"not-found\""), result)
+    }
+
+    @Test
+    fun `test a string of digits is a selector rather than a handle`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const div = document.createElement("div");
+                div.innerHTML = '<span id="1">one</span>';
+                document.body.appendChild(div);
+                try {
+                    return JSON.stringify({
+                        digits: u.isElementHandle("17"),
+                        prefixed: u.isElementHandle("handle=17"),
+                        number: u.isElementHandle(17),
+                        zero: u.isElementHandle(0),
+                        text: u.selectFirstText("xpath=//span[@id='1']"),
+                        parsed: u.parseSelector("1").engine
+                    });
+                } finally {
+                    div.remove();
+                }
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"digits\":false"), result)
+        assertTrue(result.contains("\"prefixed\":true"), result)
+        assertTrue(result.contains("\"number\":true"), result)
+        assertTrue(result.contains("\"zero\":false"), result)
+        assertTrue(result.contains("\"text\":\"one\""), result)
+        assertFalse(result.contains("\"parsed\":\"handle\""), result)
+    }
+}
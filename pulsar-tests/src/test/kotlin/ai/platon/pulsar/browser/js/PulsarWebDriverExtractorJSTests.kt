@@ -0,0 +1,74 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test extractor.js
+ * */
+class PulsarWebDriverExtractorJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    private fun errorOf(spec: String) = """
+        (() => {
+            try {
+                __pulsar_utils__.extract($spec);
+                return null;
+            } catch (e) {
+                return e.message;
+            }
+        })()
+    """.trimIndent()
+
+    @Test
+    fun `test extract fields in one call`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const spec = {
+                    title: "h1",
+                    sections: { selector: "h2", multiple: true, transform: "trim" },
+                    buttons: { selector: "button", multiple: true, fields: { label: { transform: "lowercase" } } },
+                    missing: ".no-such-element"
+                };
+                return JSON.stringify(__pulsar_utils__.extract(spec));
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"title\":\"Dynamic Content Test Page\""), result)
+        assertTrue(result.contains("\"sections\":[\""), result)
+        assertTrue(result.contains("\"buttons\":[{\"label\":"), result)
+        assertTrue(result.contains("\"missing\":null"), result)
+    }
+
+    @Test
+    fun `test extract reports an invalid selector of a field`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        assertEquals("""Invalid selector of field "price": div[""",
+            driver.evaluateValue(errorOf("""{ price: "div[" }""")))
+        assertEquals("""Invalid selector of field "price": xpath=//div[""",
+            driver.evaluateValue(errorOf("""{ price: "xpath=//div[" }""")))
+        assertEquals("""Invalid selector of field "price": text=/(/""",
+            driver.evaluateValue(errorOf("""{ price: "text=/(/" }""")))
+    }
+
+    @Test
+    fun `test extract keeps the cause of the other errors`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val transform = driver.evaluateValue(errorOf("""{ title: { selector: "h1", transform: "no-such-transform" } }"""))
+        assertEquals("""Failed to extract field "title": Unknown transform: no-such-transform""", transform)
+
+        val nested = driver.evaluateValue(errorOf("""{ buttons: { selector: "button", fields: { label: "div[" } } }"""))
+        assertEquals("""Failed to extract field "buttons": Invalid selector of field "label": div[""", nested)
+
+        // an unknown handle selects nothing, it's not an error
+        assertNull(driver.evaluateValue(errorOf("""{ title: "handle=2147483647" }""")))
+        val title = driver.evaluateValue("""__pulsar_utils__.extract({ title: "handle=2147483647" }).title""")
+        assertNull(title)
+    }
+}
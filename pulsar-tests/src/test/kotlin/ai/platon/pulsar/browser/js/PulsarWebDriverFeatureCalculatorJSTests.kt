@@ -0,0 +1,132 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.browser.common.ScriptLoader
+import ai.platon.pulsar.common.printlnPro
+import kotlinx.coroutines.runBlocking
+import kotlin.test.*
+
+/**
+ * Test feature_calculator.js with frames traversed.
+ * */
+class PulsarWebDriverFeatureCalculatorJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    /**
+     * Two same-origin frames stacked vertically
+     * */
+    val testURL get() = "$assetsBaseURL/frames/two-frames.html"
+
+    @Test
+    fun `test the rectangles in same-origin frames are in the top document coordinates`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const options = { frames: true };
+                const calculator = new __pulsar_NodeFeatureCalculator(options);
+                new __pulsar_NodeTraversor(calculator, options).traverse(document.body);
+                const bodyRect = document.body.getBoundingClientRect();
+                return JSON.stringify(Array.from(document.querySelectorAll('iframe')).map(frame => {
+                    const div = frame.contentDocument.querySelector('div');
+                    const frameRect = frame.getBoundingClientRect();
+                    const expectedTop = div.getBoundingClientRect().top + frameRect.top + frame.clientTop
+                        - bodyRect.top;
+                    const vi = div.getAttribute('vi');
+                    return {
+                        path: frame.getAttribute('_fp'),
+                        opaque: frame.getAttribute('_fo'),
+                        offsetMatched: vi != null && Math.abs(Number(vi.split(' ')[1]) - expectedTop) < 1
+                    };
+                }));
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        val expected = """{"path":"%s","opaque":null,"offsetMatched":true}"""
+        assertEquals("[" + expected.format("0") + "," + expected.format("1") + "]", result)
+    }
+
+    @Test
+    fun `test a cross-origin frame is marked opaque and not traversed`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        // localhost and 127.0.0.1 are different origins
+        val crossOriginURL = "$assetsBaseURL/frames/frame.html".replace("127.0.0.1", "localhost")
+        val expression = """
+            (async () => {
+                const frame = document.createElement('iframe');
+                const loaded = new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+                frame.src = '$crossOriginURL';
+                document.body.appendChild(frame);
+                await loaded;
+
+                const visited = [];
+                const options = { frames: true };
+                new __pulsar_NodeTraversor({ head: node => visited.push(node) }, options).traverse(frame);
+                const calculator = new __pulsar_NodeFeatureCalculator(options);
+                new __pulsar_NodeTraversor(calculator, options).traverse(document.body);
+                return JSON.stringify({
+                    path: frame.getAttribute('_fp'),
+                    opaque: frame.getAttribute('_fo'),
+                    visited: visited.length
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"path":"2","opaque":"cross-origin","visited":1}""", result)
+    }
+
+    @Test
+    fun `test frames are not traversed by default`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                new __pulsar_NodeTraversor(new __pulsar_NodeFeatureCalculator()).traverse(document.body);
+                const frame = document.querySelector('iframe');
+                return JSON.stringify({
+                    path: frame.getAttribute('_fp'),
+                    vi: frame.contentDocument.querySelector('div').getAttribute('vi')
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"path":null,"vi":null}""", result)
+    }
+
+    @Test
+    fun `test updateStat counts the nodes in frames`() {
+        runBlocking {
+            browser.newDriver().use { driver ->
+                try {
+                    ScriptLoader.addInitParameter("TRAVERSE_FRAMES", "true")
+                    driver.browser.settings.scriptLoader.reload()
+                    openEnhanced(testURL, driver)
+
+                    val expression = """
+                        (() => {
+                            const frames = Array.from(document.querySelectorAll('iframe'));
+                            frames.forEach(frame => frame.contentDocument.body
+                                .insertAdjacentHTML('beforeend', '<a href="#">42</a>'));
+                            __pulsar_utils__.updateStat();
+                            return JSON.stringify({
+                                na: document.__pulsar__Data.trace.lastStat.na,
+                                types: frames.map(frame => frame.contentDocument.querySelector('a').getAttribute('tp'))
+                                    .join(' ')
+                            });
+                        })()
+                    """.trimIndent()
+                    val result = driver.evaluateValue(expression)?.toString()
+                    printlnPro(result)
+                    // the anchors in the frames are counted, and their number like text in the first screen is typed
+                    assertEquals("""{"na":2,"types":"nm nm"}""", result)
+                } finally {
+                    ScriptLoader.addInitParameter("TRAVERSE_FRAMES", "false")
+                    driver.browser.settings.scriptLoader.reload()
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,138 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test form_controls.js
+ * */
+class PulsarWebDriverFormControlsJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test fill, selectOption and setChecked on form controls`() =
+        runEnhancedWebDriverTest("$ttaBaseURL/forms-advanced-test.html", browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const form = document.getElementById("advancedForm");
+                form.insertAdjacentHTML("beforeend", '<select id="colors" multiple><option value="r">Red</option>' +
+                    '<option value="g">Green</option><option value="b">Blue</option></select>' +
+                    '<input id="volume" type="range" min="0" max="10">');
+
+                const events = [];
+                ["beforeinput", "input", "change"].forEach(type =>
+                    form.addEventListener(type, e => events.push(type + ":" + e.target.id)));
+
+                u.fill("#search", "pulsar");
+                u.fill("#date", "2024-01-31");
+                u.fill("#volume", "7");
+                u.fill("#contenteditable", "edited");
+                let malformed = null;
+                try { u.fill("#date", "not-a-date"); } catch (e) { malformed = e.message; }
+                let disabled = null;
+                try { u.fill("#disabledInput", "x"); } catch (e) { disabled = e.message; }
+                const colors = u.selectOption("#colors", ["r", "Blue"]);
+                const enterprise = u.setChecked("input[value=enterprise]", true);
+
+                return JSON.stringify({
+                    search: document.getElementById("search").value,
+                    date: document.getElementById("date").value,
+                    volume: document.getElementById("volume").value,
+                    editable: document.getElementById("contenteditable").textContent,
+                    colors, enterprise, malformed, disabled,
+                    premium: document.querySelector("input[value=premium]").checked,
+                    events: events.join(" "),
+                    editableInputs: events.filter(e => e === "input:contenteditable").length,
+                    editableBeforeInputs: events.filter(e => e === "beforeinput:contenteditable").length
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"search\":\"pulsar\""), result)
+        assertTrue(result.contains("\"date\":\"2024-01-31\""), result)
+        assertTrue(result.contains("\"volume\":\"7\""), result)
+        assertTrue(result.contains("\"editable\":\"edited\""), result)
+        assertTrue(result.contains("\"colors\":[\"r\",\"b\"]"), result)
+        assertTrue(result.contains("\"enterprise\":true"), result)
+        assertTrue(result.contains("\"premium\":false"), result)
+        assertTrue(result.contains("Malformed value"), result)
+        assertTrue(result.contains("Element is disabled"), result)
+        assertTrue(result.contains("input:search change:search input:date change:date"), result)
+        // the editing command dispatches the events, they are not synthesized again
+        assertTrue(result.contains("\"editableInputs\":1"), result)
+        assertFalse(result.contains("\"editableBeforeInputs\":2"), result)
+    }
+
+    @Test
+    fun `test form controls report what can not be done`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const form = document.createElement("form");
+                form.id = "controls-fixture";
+                form.innerHTML = '<input id="fc-check" type="checkbox"><input id="fc-number" type="number" value="1">' +
+                    '<input id="fc-readonly" value="fixed" readonly><div id="fc-div">x</div>' +
+                    '<input id="fc-radio" type="radio" name="fc" checked><select id="fc-single"><option value="a">A</option>' +
+                    '<option value="b" disabled>B</option></select>';
+                document.body.appendChild(form);
+                const errorOf = (fn) => {
+                    try {
+                        fn();
+                        return null;
+                    } catch (e) {
+                        return e.message;
+                    }
+                };
+                try {
+                    return JSON.stringify({
+                        fillMissing: u.fill("#fc-missing", "x"),
+                        selectMissing: u.selectOption("#fc-missing", "a"),
+                        checkMissing: u.setChecked("#fc-missing", true),
+                        checkbox: errorOf(() => u.fill("#fc-check", "x")),
+                        number: errorOf(() => u.fill("#fc-number", "abc")),
+                        numberValue: document.getElementById("fc-number").value,
+                        readonly: errorOf(() => u.fill("#fc-readonly", "x")),
+                        notEditable: errorOf(() => u.fill("#fc-div", "x")),
+                        notSelect: errorOf(() => u.selectOption("#fc-div", "a")),
+                        noOption: errorOf(() => u.selectOption("#fc-single", "c")),
+                        disabledOption: errorOf(() => u.selectOption("#fc-single", "b")),
+                        multiple: errorOf(() => u.selectOption("#fc-single", ["a", "b"])),
+                        radio: errorOf(() => u.setChecked("#fc-radio", false)),
+                        radioChecked: document.getElementById("fc-radio").checked,
+                        singleValue: document.getElementById("fc-single").value
+                    });
+                } finally {
+                    form.remove();
+                }
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        // a missing element is not an error
+        assertTrue(result.contains("\"fillMissing\":false,\"selectMissing\":null,\"checkMissing\":null"), result)
+        assertTrue(result.contains("\"checkbox\":\"Can not fill an input of type \\\"checkbox\\\"\""), result)
+        assertTrue(result.contains("\"number\":\"Cannot fill \\\"abc\\\" into a number input\""), result)
+        assertTrue(result.contains("\"readonly\":\"Element is readonly\""), result)
+        assertTrue(result.contains("\"notEditable\":\"Element is not an input"), result)
+        assertTrue(result.contains("\"notSelect\":\"Element is not a select element\""), result)
+        assertTrue(result.contains("\"noOption\":\"No option matches"), result)
+        assertTrue(result.contains("\"disabledOption\":\"Option \\\"b\\\" is disabled\""), result)
+        assertTrue(result.contains("\"multiple\":\"Can not select multiple options in a single select\""), result)
+        assertTrue(result.contains("\"radio\":\"Can not uncheck a radio button\""), result)
+        // the failed operations leave the values as they were
+        assertTrue(result.contains("\"numberValue\":\"1\""), result)
+        assertTrue(result.contains("\"radioChecked\":true"), result)
+        assertTrue(result.contains("\"singleValue\":\"a\""), result)
+    }
+}
@@ -0,0 +1,149 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test input_events.js
+ * */
+class PulsarWebDriverInputEventsJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test click and press dispatch the full event sequence`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                const u = __pulsar_utils__;
+                const container = document.createElement("div");
+                container.innerHTML = '<button id="synth-button">Synth</button><input id="synth-input">';
+                document.body.appendChild(container);
+
+                const events = [];
+                const button = document.getElementById("synth-button");
+                const input = document.getElementById("synth-input");
+                ["pointerdown", "mousedown", "focus", "pointerup", "mouseup", "click"].forEach(type =>
+                    button.addEventListener(type, e => events.push(type + (type === "click" ? "@" + e.isTrusted : ""))));
+                ["keydown", "keypress", "input", "keyup"].forEach(type =>
+                    input.addEventListener(type, e => events.push(type + (e.key ? ":" + e.key + "/" + e.code : ""))));
+
+                await u.click("#synth-button");
+                u.press("#synth-input", "x");
+                const value = input.value;
+                container.remove();
+                return JSON.stringify({ events: events.join(" "), value });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("pointerdown mousedown focus pointerup mouseup click@false"), result)
+        assertTrue(result.contains("keydown:x/KeyX keypress:x/KeyX input keyup:x/KeyX"), result)
+        assertTrue(result.contains("\"value\":\"x\""), result)
+    }
+
+    @Test
+    fun `test type into contenteditable dispatches each input event once`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const editor = document.createElement("div");
+                editor.id = "synth-editor";
+                editor.setAttribute("contenteditable", "true");
+                document.body.appendChild(editor);
+
+                const events = [];
+                ["beforeinput", "input"].forEach(type =>
+                    editor.addEventListener(type, e => events.push(type + ":" + e.inputType)));
+
+                u.focusElement(editor);
+                const inserted = u.insertText(editor, "ab");
+                const text = editor.textContent;
+                editor.remove();
+                const count = (type) => events.filter(e => e.startsWith(type + ":")).length;
+                return JSON.stringify({ inserted, text, beforeinput: count("beforeinput"), input: count("input") });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"inserted\":true"), result)
+        assertTrue(result.contains("\"text\":\"ab\""), result)
+        // the events are dispatched by the editing command, or synthesized if the command is unavailable, never both
+        assertTrue(result.contains("\"input\":1"), result)
+        assertFalse(result.contains("\"beforeinput\":2"), result)
+    }
+
+    @Test
+    fun `test insertText is canceled by beforeinput`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const input = document.createElement("input");
+                document.body.appendChild(input);
+                let numInput = 0;
+                input.addEventListener("beforeinput", e => e.preventDefault());
+                input.addEventListener("input", () => ++numInput);
+
+                const inserted = u.insertText(input, "x");
+                const value = input.value;
+                input.remove();
+                return JSON.stringify({ inserted, value, numInput });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertEquals("{\"inserted\":false,\"value\":\"\",\"numInput\":0}", result)
+    }
+
+    @Test
+    fun `test press rejects unknown keys and respects a canceled keydown`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const input = document.createElement("input");
+                input.id = "synth-guarded";
+                input.value = "kept";
+                document.body.appendChild(input);
+                const errorOf = (key) => {
+                    try {
+                        u.press("#synth-guarded", key);
+                        return null;
+                    } catch (e) {
+                        return e.message;
+                    }
+                };
+                try {
+                    input.addEventListener("keydown", e => { if (e.key === "z") e.preventDefault(); });
+                    const canceled = u.dispatchKey(input, "z");
+                    return JSON.stringify({
+                        canceled,
+                        unknownKey: errorOf("NoSuchKey"),
+                        unknownModifier: errorOf("Hyper+A"),
+                        missing: u.press("#synth-missing", "a") === undefined,
+                        value: input.value
+                    });
+                } finally {
+                    input.remove();
+                }
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        // a canceled keydown inserts nothing
+        assertTrue(result.contains("\"canceled\":false"), result)
+        assertTrue(result.contains("\"unknownKey\":\"Unknown key: NoSuchKey\""), result)
+        assertTrue(result.contains("\"unknownModifier\":\"Unknown modifier in key: Hyper+A\""), result)
+        assertTrue(result.contains("\"missing\":true"), result)
+        assertTrue(result.contains("\"value\":\"kept\""), result)
+    }
+}
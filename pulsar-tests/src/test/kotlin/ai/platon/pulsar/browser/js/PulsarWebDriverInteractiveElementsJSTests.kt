@@ -0,0 +1,232 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.browser.common.ScriptLoader
+import ai.platon.pulsar.common.printlnPro
+import kotlinx.coroutines.runBlocking
+import kotlin.test.*
+
+/**
+ * Test interactive_elements.js
+ * */
+class PulsarWebDriverInteractiveElementsJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    private val listenerExpression = """
+        (() => {
+            const before = document.createElement('div');
+            before.addEventListener('click', () => {});
+            __pulsar_utils__.installListenerTracker();
+            const after = document.createElement('div');
+            after.addEventListener('click', () => {});
+            return JSON.stringify({
+                before: __pulsar_utils__.hasClickListener(before),
+                after: __pulsar_utils__.hasClickListener(after),
+                native: EventTarget.prototype.addEventListener.toString().includes('[native code]')
+            });
+        })()
+    """.trimIndent()
+
+    @Test
+    fun `test extractInteractiveElements`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const first = __pulsar_utils__.extractInteractiveElements();
+                const second = __pulsar_utils__.extractInteractiveElements();
+                const stable = first.every((e, i) => second[i] && second[i].index === e.index);
+                return JSON.stringify({ count: first.length, stable: stable, roles: first.map(e => e.role) });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertFalse(result.contains("\"count\":0,"), "The test page should have interactive elements")
+        assertTrue(result.contains("\"stable\":true"), "The indexes should be stable between extractions")
+    }
+
+    @Test
+    fun `test snapshotInteractive in the viewport with a limit`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const all = __pulsar_utils__.snapshotInteractive();
+                const limited = __pulsar_utils__.snapshotInteractive({ viewport: true, margin: 100, limit: 1 });
+                const s = limited.summary;
+                return JSON.stringify({
+                    total: all.summary.total,
+                    numLimited: limited.elements.length,
+                    consistent: s.total === all.summary.total && s.above + s.below + s.beside + s.inWindow === s.total
+                        && s.truncated === Math.max(0, s.inWindow - 1)
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"numLimited\":1"), result)
+        assertTrue(result.contains("\"consistent\":true"), result)
+    }
+
+    @Test
+    fun `test snapshotInteractive with diff`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                __pulsar_utils__.snapshotInteractive({ diff: true });
+                const select = document.createElement('select');
+                select.innerHTML = '<option>One</option><option>Two</option>';
+                document.body.prepend(select);
+                const diff = __pulsar_utils__.snapshotInteractive({ diff: true }).diff;
+                select.remove();
+                return JSON.stringify({ initial: diff.initial, addedByRole: diff.addedByRole });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"initial\":false"), result)
+        assertTrue(result.contains("\"combobox\":1"), result)
+    }
+
+    @Test
+    fun `test the listener tracker is installed on request`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        // not installed by default, the listeners added before the installation are not tracked
+        val result = driver.evaluateValue(listenerExpression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"before":false,"after":true,"native":true}""", result)
+    }
+
+    @Test
+    fun `test the listener tracker is installed by the init parameter`() {
+        runBlocking {
+            browser.newDriver().use { driver ->
+                try {
+                    ScriptLoader.addInitParameter("TRACK_LISTENERS", "true")
+                    driver.browser.settings.scriptLoader.reload()
+                    openEnhanced(testURL, driver)
+
+                    val result = driver.evaluateValue(listenerExpression)?.toString()
+                    printlnPro(result)
+                    assertEquals("""{"before":true,"after":true,"native":true}""", result)
+                } finally {
+                    ScriptLoader.addInitParameter("TRACK_LISTENERS", "false")
+                    driver.browser.settings.scriptLoader.reload()
+                }
+            }
+        }
+    }
+
+    @Test
+    fun `test snapshotInteractive of a screen beyond the page`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const snapshot = __pulsar_utils__.snapshotInteractive({ screen: 1000 });
+                const summary = snapshot.summary;
+                return JSON.stringify({ elements: snapshot.elements.length, allAbove: summary.above === summary.total });
+            })()
+        """.trimIndent()
+
+        // a screen beyond the page is an empty window rather than an error
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"elements":0,"allAbove":true}""", result)
+    }
+
+    @Test
+    fun `test snapshotInteractive diff reports changed and removed elements`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const container = document.createElement("div");
+                container.innerHTML = '<button id="diff-kept">Before</button><button id="diff-gone">Gone</button>';
+                document.body.prepend(container);
+                try {
+                    const kept = document.getElementById("diff-kept");
+                    u.snapshotInteractive({ diff: true });
+                    kept.textContent = "After";
+                    document.getElementById("diff-gone").remove();
+                    const diff = u.snapshotInteractive({ diff: true }).diff;
+                    const index = u.getStableIndex(kept);
+                    return JSON.stringify({
+                        changed: diff.changed.filter(c => c.index === index).map(c => c.changes.text),
+                        removed: diff.removed.map(r => r.name).filter(name => name === "Gone"),
+                        added: diff.added.length,
+                        initial: u.diffInteractiveSnapshots(null, new Map()).initial
+                    });
+                } finally {
+                    container.remove();
+                }
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"changed\":[{\"from\":\"Before\",\"to\":\"After\"}]"), result)
+        assertTrue(result.contains("\"removed\":[\"Gone\"]"), result)
+        assertTrue(result.contains("\"added\":0"), result)
+        // without a previous snapshot, the diff is the initial one
+        assertTrue(result.contains("\"initial\":true"), result)
+    }
+
+    @Test
+    fun `test snapshotInteractive diff does not report scrolled elements as moved`() =
+        runEnhancedWebDriverTest(testURL, browser) { driver ->
+            val expression = """
+                (() => {
+                    const u = __pulsar_utils__;
+                    // make sure the page can scroll
+                    const spacer = document.createElement("div");
+                    spacer.style.height = (window.innerHeight * 3) + "px";
+                    document.body.appendChild(spacer);
+                    try {
+                        window.scrollTo(0, 0);
+                        u.snapshotInteractive({ diff: true });
+                        window.scrollBy(0, 200);
+                        const scrolled = window.scrollY;
+                        const diff = u.snapshotInteractive({ diff: true }).diff;
+                        return JSON.stringify({ scrolled: scrolled > 0, moved: diff.moved, added: diff.added.length });
+                    } finally {
+                        window.scrollTo(0, 0);
+                        spacer.remove();
+                    }
+                })()
+            """.trimIndent()
+
+            val result = driver.evaluateValue(expression)?.toString()
+            printlnPro(result)
+            assertEquals("""{"scrolled":true,"moved":[],"added":0}""", result)
+        }
+
+    @Test
+    fun `test snapshotInteractive counts the elements beside the viewport`() =
+        runEnhancedWebDriverTest(testURL, browser) { driver ->
+            val expression = """
+                (() => {
+                    const button = document.createElement("button");
+                    button.textContent = "Aside";
+                    button.style.cssText = "position: absolute; top: 10px; left: " + (window.innerWidth + 1000) + "px";
+                    document.body.appendChild(button);
+                    try {
+                        window.scrollTo(0, 0);
+                        const s = __pulsar_utils__.snapshotInteractive({ viewport: true }).summary;
+                        return JSON.stringify({
+                            beside: s.beside >= 1,
+                            sum: s.above + s.below + s.beside + s.inWindow === s.total
+                        });
+                    } finally {
+                        button.remove();
+                    }
+                })()
+            """.trimIndent()
+
+            val result = driver.evaluateValue(expression)?.toString()
+            printlnPro(result)
+            assertEquals("""{"beside":true,"sum":true}""", result)
+        }
+}
@@ -0,0 +1,129 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test main_content.js
+ * */
+class PulsarWebDriverMainContentJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    private val fixture = """
+        (() => {
+            const div = document.createElement("div");
+            div.id = "test-fixture";
+            const links = Array.from({ length: 20 }, (_, i) => '<li><a href="#' + i + '">Navigation link ' + i + '</a></li>');
+            const paragraph = "The article has long paragraphs of plain text, which is the main content of the page. ";
+            div.innerHTML = '<nav><ul>' + links.join("") + '</ul></nav>'
+                + '<div class="sidebar">' + paragraph.repeat(3) + '</div>'
+                + '<article id="story"><h2>Story</h2><p>' + paragraph.repeat(4) + '</p><p>' + paragraph.repeat(4) + '</p></article>';
+            document.body.appendChild(div);
+            return true;
+        })()
+    """.trimIndent()
+
+    @Test
+    fun `test findMainContent returns a serializable result`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val content = driver.evaluateValue("__pulsar_utils__.findMainContent({ minTextLength: 20 })")
+        printlnPro(content)
+        assertTrue(content is Map<*, *>, "$content")
+        assertEquals(setOf("selector", "handle", "text", "score", "rect"), content.keys)
+
+        val selector = content["selector"]
+        val handle = content["handle"]
+        assertTrue(selector is String, "$content")
+        assertTrue(handle is Number, "$content")
+        // both the selector and the handle locate the block
+        val located = driver.evaluateValue("""
+            document.querySelector("$selector") === __pulsar_utils__.resolveHandle($handle)
+        """.trimIndent())
+        assertEquals(true, located)
+        assertTrue(content["text"].toString().isNotBlank(), "$content")
+    }
+
+    @Test
+    fun `test findMainContent skips navigation and boilerplate`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        assertEquals(true, driver.evaluateValue(fixture))
+
+        val content = driver.evaluateValue("__pulsar_utils__.findMainContent({ root: '#test-fixture' })")
+        printlnPro(content)
+        assertTrue(content is Map<*, *>, "$content")
+        val selector = content["selector"]
+        assertEquals(true, driver.evaluateValue("""document.querySelector("$selector").id === "story""""))
+        val text = content["text"].toString()
+        assertTrue(text.startsWith("Story\n"), text)
+        assertFalse(text.contains("Navigation link"), text)
+    }
+
+    @Test
+    fun `test findMainContent returns null if nothing qualifies`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        assertEquals(true, driver.evaluateValue(fixture))
+
+        // no block has enough text
+        assertNull(driver.evaluateValue("__pulsar_utils__.findMainContent({ minTextLength: 1000000 })"))
+        // the root is not found
+        assertNull(driver.evaluateValue("__pulsar_utils__.findMainContent({ root: '#no-such-element' })"))
+    }
+
+    @Test
+    fun `test findMainContent skips hidden blocks without the marks of compute`() =
+        runEnhancedWebDriverTest(testURL, browser) { driver ->
+            assertEquals(true, driver.evaluateValue(fixture))
+
+            // the blocks are added after compute(), so they are not marked, the computed style tells they are hidden
+            val expression = """
+                (() => {
+                    const paragraph = "The hidden block has even more text than the article, but it is not shown. ";
+                    const fixture = document.getElementById("test-fixture");
+                    fixture.insertAdjacentHTML("beforeend", '<section id="hidden-story" style="display: none"><p>'
+                        + paragraph.repeat(20) + '</p></section><section style="visibility: hidden"><p>'
+                        + paragraph.repeat(20) + '</p></section>');
+                    document.getElementById("story")
+                        .insertAdjacentHTML("beforeend", '<p style="display: none">Hidden paragraph</p>');
+                    const content = __pulsar_utils__.findMainContent({ root: "#test-fixture" });
+                    return JSON.stringify({ id: document.querySelector(content.selector).id, text: content.text });
+                })()
+            """.trimIndent()
+
+            val result = driver.evaluateValue(expression)?.toString()
+            printlnPro(result)
+            assertNotNull(result)
+            assertTrue(result.startsWith("{\"id\":\"story\","), result)
+            assertFalse(result.contains("The hidden block"), result)
+            assertFalse(result.contains("Hidden paragraph"), result)
+        }
+
+    @Test
+    fun `test findMainContent walks a deep tree`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const root = document.createElement("div");
+                root.id = "deep-fixture";
+                document.body.appendChild(root);
+                let parent = root;
+                for (let i = 0; i < 20000; ++i) {
+                    parent = parent.appendChild(document.createElement("div"));
+                }
+                parent.textContent = "The text at the bottom of a very deep tree. ".repeat(10);
+                try {
+                    const content = __pulsar_utils__.findMainContent({ root: "#deep-fixture" });
+                    return content ? content.text : null;
+                } finally {
+                    root.remove();
+                }
+            })()
+        """.trimIndent()
+
+        // a recursive walk overflows the stack
+        val text = driver.evaluateValue(expression)?.toString()
+        printlnPro(text)
+        assertNotNull(text)
+        assertTrue(text.startsWith("The text at the bottom of a very deep tree."), text)
+    }
+}
@@ -0,0 +1,87 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test markdown_serializer.js
+ * */
+class PulsarWebDriverMarkdownJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test toMarkdown`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val markdown = driver.evaluateValue("__pulsar_utils__.toMarkdown()")?.toString()
+        printlnPro(markdown)
+        assertNotNull(markdown)
+        assertTrue(markdown.isNotBlank())
+        assertFalse(markdown.contains("<script"), "Scripts should not be serialized")
+        assertFalse(markdown.contains("<!-- truncated"), "The markdown is not limited by default")
+    }
+
+    @Test
+    fun `test toMarkdown is truncated within maxTokens`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val markdown = driver.evaluateValue("__pulsar_utils__.toMarkdown()")?.toString()
+        assertNotNull(markdown)
+
+        val maxTokens = 20
+        val limit = maxTokens * 4
+        assertTrue(markdown.length > limit, "The test page should be longer than $limit characters")
+
+        val truncated = driver.evaluateValue("__pulsar_utils__.toMarkdown({ maxTokens: $maxTokens })")?.toString()
+        printlnPro(truncated)
+        assertNotNull(truncated)
+        // the marker is counted in the limit
+        assertTrue(truncated.length <= limit, "${truncated.length} > $limit")
+        assertTrue(truncated.endsWith("<!-- truncated at about $maxTokens tokens -->"), truncated)
+    }
+
+    @Test
+    fun `test toMarkdown escapes the markdown characters in the text`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val markdown = driver.evaluateValue("""
+            (() => {
+                document.body.insertAdjacentHTML('beforeend',
+                    '<div id="md-escape"><h2>Sale *today*</h2><p># 1 in [books] and snake_case</p></div>');
+                return __pulsar_utils__.toMarkdown({ root: '#md-escape' })
+            })()
+        """.trimIndent())?.toString()
+        printlnPro(markdown)
+        assertNotNull(markdown)
+        assertEquals("## Sale \\*today\\*\n\n\\# 1 in \\[books\\] and snake\\_case", markdown)
+    }
+
+    @Test
+    fun `test toMarkdown keeps the lines of a blockquote`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val markdown = driver.evaluateValue("""
+            (() => {
+                document.body.insertAdjacentHTML('beforeend',
+                    '<blockquote id="md-quote">line one<br>line two<p>a paragraph</p></blockquote>');
+                return __pulsar_utils__.toMarkdown({ root: '#md-quote' })
+            })()
+        """.trimIndent())?.toString()
+        printlnPro(markdown)
+        assertNotNull(markdown)
+        assertEquals("> line one\n> line two\n>\n> a paragraph", markdown)
+    }
+
+    @Test
+    fun `test toMarkdown escapes the block markers at the start of a line`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val markdown = driver.evaluateValue("""
+            (() => {
+                document.body.insertAdjacentHTML('beforeend', '<div id="md-markers"><p>1. Introduction</p>'
+                    + '<p>&gt; quoted</p><p>- dash</p><p>+ plus</p><p>2) two<br>---<br>x - y</p><ul><li>3. item</li></ul></div>');
+                return __pulsar_utils__.toMarkdown({ root: '#md-markers' })
+            })()
+        """.trimIndent())?.toString()
+        printlnPro(markdown)
+        assertNotNull(markdown)
+        // the text is not a list, a quote or a rule, but a marker in the middle of a line is kept as is
+        val expected = "1\\. Introduction\n\n\\> quoted\n\n\\- dash\n\n\\+ plus\n\n2\\) two\n\\---\nx - y\n\n- 3\\. item"
+        assertEquals(expected, markdown)
+    }
+}
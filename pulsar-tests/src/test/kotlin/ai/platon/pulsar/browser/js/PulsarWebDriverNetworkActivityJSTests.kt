@@ -0,0 +1,109 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.browser.common.ScriptLoader
+import ai.platon.pulsar.common.printlnPro
+import kotlinx.coroutines.runBlocking
+import kotlin.test.*
+
+/**
+ * Test network_activity.js
+ * */
+class PulsarWebDriverNetworkActivityJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test the network tracker is installed on request`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                const installedAtLoad = __pulsar_NETWORK_ACTIVITY.installed;
+                __pulsar_utils__.getNetworkActivity();
+
+                const pending = fetch(location.href);
+                const inflight = __pulsar_utils__.getNetworkActivity().inflight;
+                await pending;
+                const activity = __pulsar_utils__.getNetworkActivity();
+                return JSON.stringify({
+                    installedAtLoad,
+                    installed: activity.installed,
+                    inflight,
+                    fetch: activity.fetch,
+                    finished: activity.finished,
+                    inflightAfter: activity.inflight
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"installedAtLoad":false,"installed":true,"inflight":1,"fetch":1,"finished":1,"inflightAfter":0}""",
+            result)
+    }
+
+    @Test
+    fun `test the wrappers leave no trace on the page`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                __pulsar_utils__.installNetworkTracker();
+                const xhr = new XMLHttpRequest();
+                const loaded = new Promise(resolve => xhr.addEventListener('loadend', resolve, { once: true }));
+                xhr.open('GET', location.href);
+                xhr.send();
+                await loaded;
+                const native = [window.fetch, XMLHttpRequest.prototype.open, XMLHttpRequest.prototype.send]
+                    .every(f => f.toString().includes('[native code]'));
+                return JSON.stringify({
+                    native,
+                    names: [window.fetch.name, XMLHttpRequest.prototype.send.name].join(' '),
+                    ownKeys: Object.getOwnPropertyNames(xhr).length,
+                    xhr: __pulsar_utils__.getNetworkActivity().xhr
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"native":true,"names":"fetch send","ownKeys":0,"xhr":1}""", result)
+    }
+
+    @Test
+    fun `test failed requests are counted and the network gets quiet`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                __pulsar_utils__.installNetworkTracker();
+                // nothing listens on port 1
+                await fetch('http://127.0.0.1:1/').catch(() => null);
+                const failed = __pulsar_utils__.getNetworkActivity().failed;
+                const quietNow = __pulsar_utils__.isNetworkQuiet(300);
+                await new Promise(resolve => setTimeout(resolve, 400));
+                return JSON.stringify({ failed, quietNow, quietLater: __pulsar_utils__.isNetworkQuiet(300) });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"failed":1,"quietNow":false,"quietLater":true}""", result)
+    }
+
+    @Test
+    fun `test the network tracker is installed by the init parameter`() {
+        runBlocking {
+            browser.newDriver().use { driver ->
+                try {
+                    ScriptLoader.addInitParameter("TRACK_NETWORK", "true")
+                    driver.browser.settings.scriptLoader.reload()
+                    openEnhanced(testURL, driver)
+
+                    assertEquals(true, driver.evaluateValue("__pulsar_NETWORK_ACTIVITY.installed"))
+                } finally {
+                    ScriptLoader.addInitParameter("TRACK_NETWORK", "false")
+                    driver.browser.settings.scriptLoader.reload()
+                }
+            }
+        }
+    }
+}
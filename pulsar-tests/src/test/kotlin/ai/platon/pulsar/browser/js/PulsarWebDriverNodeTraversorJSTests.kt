@@ -0,0 +1,93 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test node_traversor.js
+ * */
+class PulsarWebDriverNodeTraversorJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    /**
+     * Build a fixture with an open shadow root, a closed shadow root and a slot with fallback content, traverse it with
+     * the options, and return the ids of the visited elements in order, a shadow root is reported as "#shadow-root".
+     * */
+    private fun traverse(options: String) = """
+        (() => {
+            let fixture = document.getElementById('traversal-fixture');
+            if (!fixture) {
+                fixture = document.createElement('div');
+                fixture.id = 'traversal-fixture';
+                fixture.innerHTML = '<div id="host"><span id="slotted">Slotted</span><span id="unassigned" slot="none">x</span></div>'
+                    + '<div id="closed-host"><span id="closed-light">Light</span></div>'
+                    + '<div id="fallback-host"></div>'
+                    + '<p id="after">After</p>';
+                document.body.appendChild(fixture);
+                fixture.querySelector('#host').attachShadow({ mode: 'open' }).innerHTML =
+                    '<b id="before-slot">Before</b><slot></slot><i id="after-slot">After</i>';
+                fixture.querySelector('#closed-host').attachShadow({ mode: 'closed' }).innerHTML =
+                    '<em id="closed-inner">Closed</em><slot></slot>';
+                fixture.querySelector('#fallback-host').attachShadow({ mode: 'open' }).innerHTML =
+                    '<slot><u id="fallback">Fallback</u></slot>';
+            }
+
+            const visited = [];
+            const visitor = {
+                head(node) {
+                    if (node.__pulsar_isShadowRoot()) visited.push('#shadow-root');
+                    else if (node.id) visited.push(node.id);
+                }
+            };
+            new __pulsar_NodeTraversor(visitor, $options).traverse(fixture);
+            return visited.join(' ');
+        })()
+    """.trimIndent()
+
+    @Test
+    fun `test shadow traversal visits shadow and slotted nodes in composed order`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val visited = driver.evaluateValue(traverse("{ shadow: true }"))
+        printlnPro(visited)
+        // the shadow tree replaces the light children of the host, and the slotted node is visited at its slot,
+        // the light children of a closed host are visited since its shadow root is not accessible
+        val expected = "traversal-fixture host #shadow-root before-slot slotted after-slot " +
+            "closed-host closed-light fallback-host #shadow-root fallback after"
+        assertEquals(expected, visited)
+    }
+
+    @Test
+    fun `test default traversal does not enter shadow roots`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expected = "traversal-fixture host slotted unassigned closed-host closed-light fallback-host after"
+        assertEquals(expected, driver.evaluateValue(traverse("{}")))
+        // the opt-out is the same as the default
+        assertEquals(expected, driver.evaluateValue(traverse("{ shadow: false }")))
+    }
+
+    @Test
+    fun `test JS compute with shadow DOM traversal`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const host = document.createElement('div');
+                document.body.appendChild(host);
+                host.attachShadow({ mode: 'open' }).innerHTML = '<button id="shadow-button">Shadow Button</button>';
+                const button = host.shadowRoot.getElementById('shadow-button');
+
+                new __pulsar_NodeTraversor(new __pulsar_NodeFeatureCalculator()).traverse(document.body);
+                const before = button.getAttribute('vi');
+                new __pulsar_NodeTraversor(new __pulsar_NodeFeatureCalculator(), { shadow: true }).traverse(document.body);
+                return JSON.stringify({ before, after: button.getAttribute('vi') });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"before\":null"), "The default traversal should not enter shadow roots: $result")
+        assertFalse(result.contains("\"after\":null"), "Elements in open shadow roots should have the vi attribute: $result")
+    }
+}
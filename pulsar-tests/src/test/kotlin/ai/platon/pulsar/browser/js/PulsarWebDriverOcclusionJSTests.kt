@@ -0,0 +1,88 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test the occlusion detection of __pulsar_utils__.getElementOcclusion()
+ * */
+class PulsarWebDriverOcclusionJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    /**
+     * Put a fixed button at the position, cover it by a fixed banner of the style, and report the occlusion.
+     * */
+    private fun occlusionOf(buttonStyle: String, bannerStyle: String?) = """
+        (() => {
+            const button = document.createElement('button');
+            button.textContent = 'Target';
+            button.style.cssText = 'position: fixed; width: 100px; height: 40px; $buttonStyle';
+            document.body.append(button);
+            const banner = document.createElement('div');
+            banner.id = 'test-cookie-banner';
+            banner.style.cssText = 'position: fixed; z-index: 9999; $bannerStyle';
+            if (${bannerStyle != null}) document.body.append(banner);
+            try {
+                const occlusion = __pulsar_utils__.getElementOcclusion(button);
+                const visible = __pulsar_utils__.isElementVisible(button, { checkOcclusion: true });
+                return JSON.stringify({ occlusion: occlusion, visible: visible });
+            } finally {
+                button.remove();
+                banner.remove();
+            }
+        })()
+    """.trimIndent()
+
+    @Test
+    fun `test getElementOcclusion reports the covering element`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = occlusionOf("top: 10px; left: 10px;", "top: 0; left: 0; width: 100%; height: 100px;")
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"occludedBy\":\"#test-cookie-banner\""), result)
+        assertTrue(result.contains("\"visibleFraction\":0"), result)
+        assertTrue(result.contains("\"visible\":false"), result)
+    }
+
+    @Test
+    fun `test getElementOcclusion reports a partly covered element`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        // the banner covers the left half of the button, so the center and two quadrants are covered
+        val expression = occlusionOf("top: 10px; left: 10px;", "top: 0; left: 0; width: 61px; height: 100px;")
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"visibleFraction\":0.4"), result)
+        assertTrue(result.contains("\"occludedBy\":\"#test-cookie-banner\""), result)
+    }
+
+    @Test
+    fun `test getElementOcclusion ignores elements which do not cover`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val uncovered = driver.evaluateValue(occlusionOf("top: 10px; left: 10px;", null))?.toString()
+        printlnPro(uncovered)
+        assertNotNull(uncovered)
+        assertTrue(uncovered.contains("{\"visibleFraction\":1,\"occludedBy\":null}"), uncovered)
+        assertTrue(uncovered.contains("\"visible\":true"), uncovered)
+
+        // the hit passes through an element with pointer-events: none
+        val passThrough = driver.evaluateValue(occlusionOf("top: 10px; left: 10px;",
+            "top: 0; left: 0; width: 100%; height: 100px; pointer-events: none;"))?.toString()
+        printlnPro(passThrough)
+        assertNotNull(passThrough)
+        assertTrue(passThrough.contains("{\"visibleFraction\":1,\"occludedBy\":null}"), passThrough)
+    }
+
+    @Test
+    fun `test getElementOcclusion does not guess out of the viewport`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val result = driver.evaluateValue(occlusionOf("top: -500px; left: -500px;", null))?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("{\"visibleFraction\":null,\"occludedBy\":null}"), result)
+    }
+}
@@ -0,0 +1,101 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test overlay.js
+ * */
+class PulsarWebDriverOverlayJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test showOverlay and clearOverlay`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const before = document.documentElement.outerHTML;
+                const marks = __pulsar_utils__.showOverlay();
+                const numOverlayNodes = document.querySelectorAll('[data-pulsar-overlay]').length;
+                __pulsar_utils__.clearOverlay();
+                return JSON.stringify({
+                    numMarks: marks.length,
+                    numOverlayNodes: numOverlayNodes,
+                    restored: document.documentElement.outerHTML === before
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertFalse(result.contains("\"numMarks\":0,"), result)
+        assertTrue(result.contains("\"numOverlayNodes\":2"), result)
+        assertTrue(result.contains("\"restored\":true"), result)
+    }
+
+    @Test
+    fun `test showOverlay replaces the previous overlay`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                u.showOverlay();
+                const marks = u.showOverlay({ outline: false, colors: { button: "red" } });
+                const container = document.querySelector('div[data-pulsar-overlay]');
+                const result = {
+                    numOverlayNodes: document.querySelectorAll('[data-pulsar-overlay]').length,
+                    // without outlines, the container holds only the labels
+                    onlyLabels: container.childElementCount === marks.length,
+                    uniqueIndexes: new Set(marks.map(m => m.index)).size === marks.length,
+                    buttonColors: Array.from(new Set(marks.filter(m => m.type === "button").map(m => m.color)))
+                };
+                result.removed = u.clearOverlay();
+                return JSON.stringify(result);
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"numOverlayNodes\":2"), result)
+        assertTrue(result.contains("\"onlyLabels\":true"), result)
+        assertTrue(result.contains("\"uniqueIndexes\":true"), result)
+        assertTrue(result.contains("\"buttonColors\":[\"red\"]"), result)
+        assertFalse(result.contains("\"removed\":0"), result)
+    }
+
+    @Test
+    fun `test clearOverlay without an overlay changes nothing`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const before = document.documentElement.outerHTML;
+                const removed = __pulsar_utils__.clearOverlay();
+                return JSON.stringify({ removed, unchanged: document.documentElement.outerHTML === before });
+            })()
+        """.trimIndent()
+
+        assertEquals("""{"removed":0,"unchanged":true}""", driver.evaluateValue(expression))
+    }
+
+    @Test
+    fun `test placeOverlayLabel avoids the placed labels`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const box = { x: 100, y: 100, width: 200, height: 50 };
+                const placed = [];
+                for (let i = 0; i < 6; ++i) {
+                    placed.push(u.placeOverlayLabel(box, 20, 16, placed));
+                }
+                return JSON.stringify(placed.map(p => [p.x, p.y]));
+            })()
+        """.trimIndent()
+
+        // five candidates around the box, then the first one if all of them are taken
+        assertEquals("[[100,84],[100,100],[100,150],[280,84],[280,100],[100,84]]", driver.evaluateValue(expression))
+    }
+}
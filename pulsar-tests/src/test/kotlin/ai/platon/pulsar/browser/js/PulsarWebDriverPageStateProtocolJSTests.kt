@@ -0,0 +1,89 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import ai.platon.pulsar.persist.model.ActiveDOMMessage
+import kotlin.test.*
+
+/**
+ * Test page_state_protocol.js
+ * */
+class PulsarWebDriverPageStateProtocolJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test describeProtocol`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val schema = driver.evaluateValue("__pulsar_utils__.describeProtocol()")
+        printlnPro(schema)
+
+        assertTrue { schema is Map<*, *> }
+        require(schema is Map<*, *>)
+        val properties = schema["properties"] as Map<*, *>
+        val version = properties["version"] as Map<*, *>
+        assertEquals(ActiveDOMMessage.PROTOCOL_VERSION, (version["const"] as Number).toInt())
+    }
+
+    @Test
+    fun `test describeProtocol with long keys`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const statusOf = (schema) => schema.properties.trace.properties.status.properties;
+                return JSON.stringify({
+                    short: Object.keys(statusOf(__pulsar_utils__.describeProtocol())),
+                    long: Object.keys(statusOf(__pulsar_utils__.describeProtocol({ longKeys: true })))
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"short\":[\"n\",\"scroll\",\"idl\",\"st\",\"r\",\"ec\"]"), result)
+        assertTrue(result.contains("\"long\":[\"checkCount\",\"scrollCount\",\"idleCount\",\"documentState\","), result)
+    }
+
+    @Test
+    fun `test the active DOM message is parsed by ActiveDOMMessage`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val json = driver.evaluateValue("__pulsar_utils__.createDataIfAbsent(); __pulsar_utils__.getActiveDomMessage()")
+        printlnPro(json)
+        assertNotNull(json)
+
+        val message = ActiveDOMMessage.fromJson(json.toString())
+        assertEquals(ActiveDOMMessage.PROTOCOL_VERSION, message.version)
+        assertNotNull(message.trace)
+        assertNotNull(message.urls)
+    }
+
+    @Test
+    fun `test toLongFormMessage keeps unknown and null fields`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const message = {
+                    version: 1,
+                    trace: { status: { n: 2, st: "c", custom: 1 }, initStat: null, lastStat: { na: 3 } },
+                    urls: { URL: "http://example.com/" },
+                    metadata: null,
+                    extra: "kept"
+                };
+                const long = __pulsar_utils__.toLongFormMessage(message);
+                return JSON.stringify({ long, original: Object.keys(message.trace.status) });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"status\":{\"checkCount\":2,\"documentState\":\"c\",\"custom\":1}"), result)
+        assertTrue(result.contains("\"initialStat\":null"), result)
+        assertTrue(result.contains("\"lastStat\":{\"numAnchors\":3}"), result)
+        assertTrue(result.contains("\"metadata\":null"), result)
+        assertTrue(result.contains("\"extra\":\"kept\""), result)
+        assertTrue(result.contains("\"keyForm\":\"long\""), result)
+        // the message itself is not changed
+        assertTrue(result.contains("\"original\":[\"n\",\"st\",\"custom\"]"), result)
+    }
+}
@@ -0,0 +1,115 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test readiness_strategies.js
+ * */
+class PulsarWebDriverReadinessJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test readiness strategies write the strategy and the reason`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const status = () => document.__pulsar__Data.trace.status;
+                const ready = (options) => u.waitForDocumentFullyLoaded(0, options) !== false;
+                document.body.insertAdjacentHTML("beforeend", '<button id="ready-button">Ready</button>');
+
+                const r = {};
+                r.loadComplete = ready({ strategy: "load-complete" }) && status().r;
+                // the selector is a unified selector
+                r.selectorPresent = ready({ strategy: "selector-present", selector: "role=button[name=Ready]" })
+                    && status().r;
+                r.selectorMissing = ready({ strategy: "selector-present", selector: "text=Never shown" });
+                document.getElementById("ready-button").remove();
+                return JSON.stringify(r);
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"loadComplete":"load-complete:st","selectorPresent":"selector-present:sel",""" +
+            """"selectorMissing":false}""", result)
+    }
+
+    @Test
+    fun `test content-stable counts its own stable checks`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                u.waitForDocumentFullyLoaded(0);
+                const status = document.__pulsar__Data.trace.status;
+                const idl = status.idl;
+                const checks = [1, 2, 3, 4].map(() =>
+                    u.waitForDocumentFullyLoaded(0, { strategy: "content-stable", stableChecks: 3 }) !== false);
+                return JSON.stringify({ checks, idlUnchanged: status.idl === idl });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"checks":[false,false,true,true],"idlUnchanged":true}""", result)
+    }
+
+    @Test
+    fun `test custom readiness predicate must be a function`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const attempt = (options) => {
+                    try { return u.waitForDocumentFullyLoaded(0, options) !== false } catch (e) { return e.message }
+                };
+                return JSON.stringify({
+                    func: attempt({ strategy: "custom", predicate: (context) => context.stat != null }),
+                    // a string from the JVM is never evaluated
+                    string: attempt({ strategy: "custom", predicate: "window.__pulsar_Evaluated = true" }),
+                    evaluated: window.__pulsar_Evaluated === true,
+                    unknown: attempt({ strategy: "no-such-strategy" })
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"func\":true"), result)
+        assertTrue(result.contains("The custom readiness predicate must be a function"), result)
+        assertTrue(result.contains("\"evaluated\":false"), result)
+        assertTrue(result.contains("Unknown readiness strategy: no-such-strategy"), result)
+    }
+
+    @Test
+    fun `test registerReadinessStrategy replaces a strategy and rejects a non-function`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const ready = () => u.waitForDocumentFullyLoaded(0, { strategy: "test-flag" }) !== false;
+                let invalid = null;
+                try {
+                    u.registerReadinessStrategy("test-invalid", "true");
+                } catch (e) {
+                    invalid = e.message;
+                }
+                u.registerReadinessStrategy("test-flag", () => false);
+                const before = ready();
+                // a strategy with the same name is replaced
+                u.registerReadinessStrategy("test-flag", () => "flag");
+                const after = ready() && document.__pulsar__Data.trace.status.r;
+                return JSON.stringify({ invalid, registered: "test-invalid" in u.readinessStrategies, before, after });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"invalid":"The readiness predicate must be a function: test-invalid",""" +
+            """"registered":false,"before":false,"after":"test-flag:flag"}""", result)
+    }
+}
@@ -0,0 +1,129 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test record_detector.js
+ * */
+class PulsarWebDriverRecordDetectorJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test detectRecords on a product list`() = runEnhancedWebDriverTest(mockAmazonListUrl, browser) { driver ->
+        val expression = """
+            (() => {
+                const sets = __pulsar_utils__.detectRecords();
+                if (sets.length === 0) return null;
+                const best = sets[0];
+                return JSON.stringify({
+                    recordSelector: best.recordSelector,
+                    count: best.count,
+                    located: document.querySelectorAll(best.recordSelector).length === best.count,
+                    fields: best.fields,
+                    first: best.records[0]
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"located\":true"), result)
+        assertTrue(result.contains("product-card"), result)
+        assertTrue(result.contains("\"link\":\"http"), result)
+    }
+
+    @Test
+    fun `test detectRecords with records which are links`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const list = document.createElement("div");
+                list.id = "link-records";
+                const card = (i, extra) => '<a class="card' + extra + '" href="/item/' + i + '"><img src="/img/' + i +
+                    '.png" width="80" height="60"><span class="name">Item ' + i + '</span><b>$' + i + '.99</b></a>';
+                // a card with one more class name matches the signature of the others, and so does a placeholder
+                list.innerHTML = [1, 2, 3, 4].map(i => card(i, "")).join("") + card(5, " featured") +
+                    '<a class="card" href="/placeholder"></a>';
+                document.body.prepend(list);
+
+                const sets = __pulsar_utils__.detectRecords({ root: "#link-records" });
+                list.remove();
+                if (sets.length === 0) return null;
+                const best = sets[0];
+                return JSON.stringify({
+                    recordSelector: best.recordSelector,
+                    count: best.count,
+                    fields: best.fields,
+                    first: best.records[0]
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"count\":4"), result)
+        assertTrue(result.contains("\"link\":\":scope\""), result)
+        assertTrue(result.contains("/item/1\""), result)
+        assertTrue(result.contains("\"title\":\"Item 1\""), result)
+    }
+
+    @Test
+    fun `test detectRecords builds a record selector matching exactly the records`() =
+        runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const list = document.createElement("ul");
+                list.id = "exact-records";
+                const item = (i, extra) => '<li class="item' + extra + '"><a href="/p/' + i + '">Product ' + i +
+                    '</a><span class="price">$' + i + '</span></li>';
+                list.innerHTML = [1, 2, 3].map(i => item(i, "")).join("") + item(4, " ad") + item(5, "") +
+                    '<li class="item"></li>';
+                document.body.prepend(list);
+
+                const best = __pulsar_utils__.detectRecords({ root: "#exact-records" })[0];
+                const matched = best ? document.querySelectorAll(best.recordSelector).length : -1;
+                list.remove();
+                return JSON.stringify({ count: best && best.count, matched });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertEquals("{\"count\":4,\"matched\":4}", result)
+    }
+
+    @Test
+    fun `test detectRecords finds nothing without enough similar siblings`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const container = document.createElement("div");
+                container.id = "records-fixture";
+                container.innerHTML = '<ul id="records-two"><li><a href="#1">One</a></li><li><a href="#2">Two</a></li></ul>' +
+                    '<div id="records-mixed"><p>Text</p><h3>Heading</h3><img src="#" alt=""><span>Span</span></div>';
+                document.body.appendChild(container);
+                try {
+                    return JSON.stringify({
+                        missingRoot: u.detectRecords({ root: "#no-such-root" }).length,
+                        tooFew: u.detectRecords({ root: "#records-two" }).length,
+                        mixed: u.detectRecords({ root: "#records-mixed" }).length,
+                        lowered: u.detectRecords({ root: "#records-two", minRecords: 2 }).map(g => g.count)
+                    });
+                } finally {
+                    container.remove();
+                }
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"missingRoot":0,"tooFew":0,"mixed":0,"lowered":[2]}""", result)
+    }
+}
@@ -0,0 +1,107 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test selector_builder.js
+ * */
+class PulsarWebDriverSelectorBuilderJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test buildSelector locates exactly the element`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const elements = Array.from(document.querySelectorAll('body *')).slice(0, 50);
+                return elements.filter(e => {
+                    const css = __pulsar_utils__.buildSelector(e);
+                    const xpath = __pulsar_utils__.buildSelector(e, { type: 'xpath' });
+                    const found = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+                    return document.querySelectorAll(css).length !== 1 || document.querySelector(css) !== e || found !== e;
+                }).length;
+            })()
+        """.trimIndent()
+
+        val numMismatches = driver.evaluateValue(expression)
+        assertEquals(0, (numMismatches as Number).toInt(), "Every built selector should locate exactly its element")
+    }
+
+    @Test
+    fun `test buildSelector quotes attribute values`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const container = document.createElement('div');
+                document.body.appendChild(container);
+                const values = ['he said "hi"', "it's", 'back\\slash', 'line\nbreak', '1st', '[x]'];
+                const mismatches = values.filter(value => {
+                    const input = document.createElement('input');
+                    input.setAttribute('name', value);
+                    container.appendChild(input);
+                    const css = __pulsar_utils__.buildSelector(input);
+                    return !css || document.querySelector(css) !== input;
+                });
+                container.remove();
+                return JSON.stringify(mismatches);
+            })()
+        """.trimIndent()
+
+        val mismatches = driver.evaluateValue(expression)
+        assertEquals("[]", mismatches, "Every quoted attribute value should match exactly its element")
+    }
+
+    @Test
+    fun `test buildXPath counts anchors in the shadow root`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const host = document.createElement('div');
+                host.innerHTML = '<p id="anchor">light</p>';
+                document.body.appendChild(host);
+                const shadow = host.attachShadow({ mode: 'open' });
+                shadow.innerHTML = '<p id="anchor"><b>dark</b></p><p><b>second</b></p>';
+                const locate = (xpath, root) => {
+                    const result = document.evaluate(xpath, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                    return result.snapshotLength === 1 ? result.snapshotItem(0) : null;
+                };
+                const targets = Array.from(shadow.querySelectorAll('b'));
+                const xpaths = targets.map(e => __pulsar_utils__.buildXPath(e));
+                host.remove();
+                return JSON.stringify({
+                    xpaths: xpaths,
+                    located: targets.every((e, i) => locate(xpaths[i], shadow) === e)
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        // the id is unique in the shadow root although the document has the same id
+        assertTrue(result.contains(".//*[@id=\\\"anchor\\\"]/b"), result)
+        assertTrue(result.contains("\"located\":true"), result)
+    }
+
+    @Test
+    fun `test buildXPath in a detached subtree`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const section = document.createElement('section');
+                section.innerHTML = '<div id="detached"><i>first</i></div><i>second</i>';
+                const targets = [section, section.querySelector('#detached i'), section.lastChild];
+                return JSON.stringify(targets.map(e => {
+                    const xpath = __pulsar_utils__.buildXPath(e);
+                    const result = document.evaluate(xpath, section, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                    return result.snapshotLength === 1 && result.snapshotItem(0) === e ? "ok" : xpath;
+                }));
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)
+        assertEquals("[\"ok\",\"ok\",\"ok\"]", result)
+    }
+}
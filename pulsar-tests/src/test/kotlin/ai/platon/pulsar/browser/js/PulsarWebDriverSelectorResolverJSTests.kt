@@ -0,0 +1,118 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test selector_resolver.js
+ * */
+class PulsarWebDriverSelectorResolverJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test unified selector syntax`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const h1 = document.querySelector("h1");
+                return JSON.stringify({
+                    css: u.resolveSelector("css=h1") === h1,
+                    xpath: u.resolveSelector("xpath=//h1") === h1,
+                    bareXpath: u.resolveSelector("//h1") === h1,
+                    text: u.resolveSelector('text="Dynamic Content Test Page"') === h1,
+                    regex: u.resolveSelector("text=/dynamic content/i") === h1,
+                    role: u.resolveSelector("role=heading[name=/Dynamic Content/]") === h1,
+                    selectFirstText: u.selectFirstText("xpath=//h1")
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertFalse(result.contains("false"), result)
+        assertTrue(result.contains("\"selectFirstText\":\"Dynamic Content Test Page\""), result)
+    }
+
+    @Test
+    fun `test selection helpers with a root`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const section = document.querySelector("h2").parentElement;
+                section.id = section.id || "root-under-test";
+                const root = "#" + section.id;
+                const expected = section.querySelector("h2").textContent;
+                return JSON.stringify({
+                    byRoot: u.selectFirstText("h2", root) === expected,
+                    byWithin: u.within(root).selectFirstText("h2") === expected,
+                    nested: u.within("body").within(root).selectFirstText("h2") === expected,
+                    missingRoot: u.selectFirstText("h2", "#no-such-root") === null,
+                    missingWithin: u.within("#no-such-root").selectTextAll("h2") === "[]"
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertFalse(result.contains("false"), result)
+    }
+
+    @Test
+    fun `test the text engine`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const container = document.createElement("div");
+                container.id = "text-engine";
+                container.innerHTML = '<p class="item">Sale</p><p class="item">Sale</p><p class="item">Sale</p>' +
+                    '<button id="split"><span>Add</span> <span>to cart</span></button><img alt="Sale">';
+                document.body.append(container);
+                const ids = (selector) => u.resolveSelectorAll(selector, "#text-engine")
+                    .map(e => e.id || e.className).join(" ");
+                const result = {
+                    // the global flag does not make the matches alternate
+                    global: ids("text=/sale/gi"),
+                    sticky: ids("text=/Sale/y"),
+                    // the text split into several elements matches the deepest element holding all of it
+                    split: ids("text=add to cart"),
+                    missing: ids("text=no such text")
+                };
+                container.remove();
+                return JSON.stringify(result);
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertEquals("""{"global":"item item item","sticky":"item item item","split":"split","missing":""}""", result)
+    }
+
+    @Test
+    fun `test malformed selectors throw SyntaxError`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const names = {};
+                ["div[", "xpath=//div[", "xpath=count(//div)", "text=/(/", "role=button[name=", ""].forEach(selector => {
+                    try {
+                        __pulsar_utils__.resolveSelector(selector);
+                        names[selector] = "no error";
+                    } catch (e) {
+                        names[selector] = e.name;
+                    }
+                });
+                return JSON.stringify(Object.values(names));
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertEquals(List(6) { "\"SyntaxError\"" }.joinToString(",", "[", "]"), result)
+    }
+}
@@ -0,0 +1,120 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test text_locator.js and clickTextMatches()
+ * */
+class PulsarWebDriverTextLocatorJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    @Test
+    fun `test clickTextMatches clicks only the best match`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                const u = __pulsar_utils__;
+                const container = document.createElement("div");
+                container.id = "locator";
+                container.innerHTML = '<ul><li><a id="locator-next" href="#next"><span>Next</span></a></li>' +
+                    '<li><a id="locator-next-page" href="#next-page">Next page</a></li></ul>' +
+                    '<a id="locator-more-1" href="#more-1">More</a> <a id="locator-more-2" href="#more-2">More</a>';
+                document.body.prepend(container);
+
+                const clicks = [];
+                container.addEventListener("click", e => {
+                    clicks.push(e.currentTarget === e.target ? "container" : e.target.closest("a").id);
+                    e.preventDefault();
+                });
+
+                const next = await u.clickTextMatches("*", "Next", "#locator");
+                const page = await u.clickTextMatches("a", "next PAGE", "#locator", { mode: "substring" });
+                const more = await u.clickTextMatches("*", "More", "#locator", { mode: "exact" });
+                container.remove();
+                return JSON.stringify({
+                    next: next.element.selector, page: page.element.selector, text: next.element.text,
+                    hasRect: next.element.rect.width > 0, more: more.reason,
+                    candidates: more.candidates.map(c => c.selector).join(" "), clicks: clicks.join(" ")
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"next\":\"#locator-next\""), result)
+        assertTrue(result.contains("\"page\":\"#locator-next-page\""), result)
+        assertTrue(result.contains("\"text\":\"Next\""), result)
+        assertTrue(result.contains("\"hasRect\":true"), result)
+        assertTrue(result.contains("\"more\":\"ambiguous\""), result)
+        assertTrue(result.contains("\"candidates\":\"#locator-more-1 #locator-more-2\""), result)
+        assertTrue(result.contains("\"clicks\":\"locator-next locator-next-page\""), result)
+    }
+
+    @Test
+    fun `test rankTextMatches ranks visible and interactive matches first`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const u = __pulsar_utils__;
+                const container = document.createElement("div");
+                container.id = "locator";
+                container.innerHTML = '<a id="locator-hidden" href="#hidden" style="display: none">Buy now</a>' +
+                    '<p id="locator-plain">Buy now</p><button id="locator-partial">Buy now and save</button>' +
+                    '<button id="locator-button"><span>Buy now</span></button>';
+                document.body.prepend(container);
+                try {
+                    const ids = (mode, pattern) => u.rankTextMatches("*", pattern, "#locator", { mode })
+                        .map(c => c.element.id).join(" ");
+                    return JSON.stringify({
+                        substring: ids("substring", "buy now"),
+                        exact: ids("exact", "Buy now"),
+                        regex: ids("regex", "/^buy\\s+now${'$'}/i")
+                    });
+                } finally {
+                    container.remove();
+                }
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"substring\":\"locator-button locator-partial locator-plain locator-hidden\""), result)
+        assertTrue(result.contains("\"exact\":\"locator-button locator-plain locator-hidden\""), result)
+        assertTrue(result.contains("\"regex\":\"locator-button locator-plain locator-hidden\""), result)
+    }
+
+    @Test
+    fun `test clickTextMatches reports no match and rejects a bad pattern`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (async () => {
+                const u = __pulsar_utils__;
+                const errorOf = async (mode, pattern) => {
+                    try {
+                        await u.clickTextMatches("*", pattern, null, { mode });
+                        return null;
+                    } catch (e) {
+                        return e.message;
+                    }
+                };
+                return JSON.stringify({
+                    missing: await u.clickTextMatches("*", "No such text anywhere 1f2e3d"),
+                    regex: await errorOf("regex", "/(/"),
+                    mode: await errorOf("fuzzy", "Next")
+                });
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateAwait(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"missing\":{\"ok\":false,\"reason\":\"not-found\""), result)
+        assertTrue(result.contains("\"regex\":\"Invalid regular expression: /(/\""), result)
+        assertTrue(result.contains("\"mode\":\"Unknown text match mode \\\"fuzzy\\\""), result)
+    }
+}
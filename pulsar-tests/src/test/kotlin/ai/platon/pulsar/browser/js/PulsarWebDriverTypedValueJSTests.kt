@@ -0,0 +1,129 @@
+package ai.platon.pulsar.browser.js
+
+import ai.platon.pulsar.WebDriverTestBase
+import ai.platon.pulsar.browser.FastWebDriverService
+import ai.platon.pulsar.common.printlnPro
+import kotlin.test.*
+
+/**
+ * Test typed_value.js
+ * */
+class PulsarWebDriverTypedValueJSTests : WebDriverTestBase() {
+
+    override val webDriverService get() = FastWebDriverService(browserFactory)
+
+    val testURL get() = "$generatedAssetsBaseURL/injected-js.test.html"
+
+    private fun parseAll(texts: List<String>, locale: String) = """
+        (() => {
+            const texts = ${texts.joinToString(", ", "[", "]") { "\"$it\"" }};
+            return JSON.stringify(texts.map(text => __pulsar_utils__.parseTypedValue(text, { locale: "$locale" })));
+        })()
+    """.trimIndent()
+
+    @Test
+    fun `test parseTypedValue`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val expression = """
+            (() => {
+                const texts = ["￥3,412.25", "1.234,56 €", "12.5%", "${'$'}10 - ${'$'}20", "2024-01-31", "4.5 out of 5 stars"];
+                return JSON.stringify(texts.map(text => __pulsar_utils__.parseTypedValue(text, { locale: "en-US" })));
+            })()
+        """.trimIndent()
+
+        val result = driver.evaluateValue(expression)?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertTrue(result.contains("\"value\":3412.25,\"currency\":\"CNY\""), result)
+        assertTrue(result.contains("\"value\":1234.56,\"currency\":\"EUR\""), result)
+        assertTrue(result.contains("\"ratio\":0.125"), result)
+        assertTrue(result.contains("\"min\":10,\"max\":20,\"currency\":\"USD\""), result)
+        assertTrue(result.contains("\"type\":\"date\",\"value\":\"2024-01-31\""), result)
+        assertTrue(result.contains("\"type\":\"rating\",\"value\":4.5,\"scale\":5"), result)
+    }
+
+    @Test
+    fun `test the digit grouping and the locale decide the decimal separator`() =
+        runEnhancedWebDriverTest(testURL, browser) { driver ->
+            val texts = listOf("¥1,000", "$1,299", "0,125", "1234,567", "1,299")
+            val result = driver.evaluateValue(parseAll(texts, "de-DE"))?.toString()
+            printlnPro(result)
+            assertNotNull(result)
+            // the leading digits are never a group of thousands
+            assertTrue(result.contains("\"value\":0.125,"), result)
+            assertTrue(result.contains("\"value\":1234.567,"), result)
+            // an ambiguous grouping is read by the locale, whatever the currency is
+            assertTrue(result.contains("\"value\":1,\"currency\":\"CNY\""), result)
+            assertTrue(result.contains("\"value\":1.299,\"currency\":\"USD\""), result)
+            assertTrue(result.contains("\"type\":\"number\",\"value\":1.299,"), result)
+
+            val english = driver.evaluateValue(parseAll(listOf("1,234 €", "1,299"), "en-US"))?.toString()
+            printlnPro(english)
+            assertNotNull(english)
+            assertTrue(english.contains("\"value\":1234,\"currency\":\"EUR\""), english)
+            assertTrue(english.contains("\"type\":\"number\",\"value\":1299,"), english)
+        }
+
+    @Test
+    fun `test the currency decides the decimal separator only if the locale is unknown`() =
+        runEnhancedWebDriverTest(testURL, browser) { driver ->
+            val expression = """
+                (() => {
+                    const root = document.documentElement;
+                    const lang = root.getAttribute("lang");
+                    root.removeAttribute("lang");
+                    try {
+                        return JSON.stringify(["1,234 €", "${'$'}1,299"].map(text => __pulsar_utils__.parseTypedValue(text)));
+                    } finally {
+                        if (lang != null) root.setAttribute("lang", lang);
+                    }
+                })()
+            """.trimIndent()
+
+            val result = driver.evaluateValue(expression)?.toString()
+            printlnPro(result)
+            assertNotNull(result)
+            assertTrue(result.contains("\"value\":1.234,\"currency\":\"EUR\""), result)
+            assertTrue(result.contains("\"value\":1299,\"currency\":\"USD\""), result)
+        }
+
+    @Test
+    fun `test an amount in a currency without a minor unit is an integer`() =
+        runEnhancedWebDriverTest(testURL, browser) { driver ->
+            val result = driver.evaluateValue(parseAll(listOf("¥1,000.5", "JPY 1,000.5", "¥1,000"), "ja-JP"))?.toString()
+            printlnPro(result)
+            assertNotNull(result)
+            assertTrue(result.contains("{\"type\":\"text\",\"value\":\"¥1,000.5\""), result)
+            assertTrue(result.contains("{\"type\":\"text\",\"value\":\"JPY 1,000.5\""), result)
+            assertTrue(result.contains("\"value\":1000,\"currency\":\"JPY\""), result)
+        }
+
+    @Test
+    fun `test phone numbers and codes are not ranges`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val texts = listOf("555-1234", "12345-6789", "2024-01", "05-10")
+        val result = driver.evaluateValue(parseAll(texts, "en-US"))?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertFalse(result.contains("\"type\":\"range\""), result)
+        texts.forEach { assertTrue(result.contains("{\"type\":\"text\",\"value\":\"$it\""), result) }
+
+        val ranges = driver.evaluateValue(parseAll(listOf("10-20", "0-10", "1990-2000", "$10-$20"), "en-US"))?.toString()
+        printlnPro(ranges)
+        assertNotNull(ranges)
+        assertEquals(4, Regex("\"type\":\"range\"").findAll(ranges).count(), ranges)
+    }
+
+    @Test
+    fun `test fractions and positions are not ratings`() = runEnhancedWebDriverTest(testURL, browser) { driver ->
+        val texts = listOf("1/2", "3/4", "1 of 2")
+        val result = driver.evaluateValue(parseAll(texts, "en-US"))?.toString()
+        printlnPro(result)
+        assertNotNull(result)
+        assertFalse(result.contains("\"type\":\"rating\""), result)
+
+        // a rating on another scale says so
+        val ratings = driver.evaluateValue(parseAll(listOf("8/10", "3 out of 4 stars", "Rated 3 of 4"), "en-US"))?.toString()
+        printlnPro(ratings)
+        assertNotNull(ratings)
+        assertEquals(3, Regex("\"type\":\"rating\"").findAll(ratings).count(), ratings)
+    }
+}